@@ -0,0 +1,28 @@
+/**
+ * Dynamic Metronome - Background clock
+ * Copyright (c) 2025 Pierangelo Gobbo. All Rights Reserved.
+ *
+ * This software is proprietary and confidential.
+ * Unauthorized copying, distribution, or modification of this software,
+ * via any medium, is strictly prohibited without explicit permission.
+ *
+ * For licensing inquiries, contact: pierangelogobbo@yahoo.it
+ */
+
+// ==================================
+//
+// Runs as a Web Worker and posts 'tick' every `interval` ms. Browsers throttle
+// setTimeout in background tabs and on a dimmed phone screen, but not in workers,
+// so the engine keeps scheduling clicks on time (see createWorkerTicker() in script.js).
+//
+// Messages in: { command: 'start', interval } or { command: 'stop' }
+
+let clockTimer = null;
+
+self.onmessage = (e) => {
+    clearInterval(clockTimer);
+    clockTimer = null;
+    if (e.data.command === 'start') {
+        clockTimer = setInterval(() => self.postMessage('tick'), e.data.interval);
+    }
+};
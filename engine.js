@@ -0,0 +1,173 @@
+/**
+ * Dynamic Metronome - Timing engine
+ * Copyright (c) 2025 Pierangelo Gobbo. All Rights Reserved.
+ * 
+ * This software is proprietary and confidential.
+ * Unauthorized copying, distribution, or modification of this software,
+ * via any medium, is strictly prohibited without explicit permission.
+ * 
+ * For licensing inquiries, contact: pierangelogobbo@yahoo.it
+ */
+
+// ==================================
+//
+// Look-ahead scheduler. On every tick it pulls beats from a timeline (any
+// iterator of { duration, tempo, beatInBar, segmentIndex, ... }) and hands out
+// everything that starts within the next `scheduleAheadTime` seconds, so the
+// audio is always queued ahead and a busy main thread can't make a click late.
+//
+// The timeline is read lazily: a beat is only taken from it when it is due to be
+// scheduled, so an endless timeline (Normal mode) can follow the knobs and a
+// change is picked up on the next beat.
+//
+// No DOM access: the clock (seconds) and the timer are passed in, so the whole
+// schedule can run against a fake clock in Node. Ticks come from the timer unless
+// a `ticker` ({ start(callback, ms), stop() }) is given - e.g. a Web Worker clock,
+// which browsers don't throttle in background tabs.
+//
+// Events (subscribe with on(name, callback)); each beat gets its `time` filled in:
+// - 'schedule' - a beat is about to be queued; play its audio at beat.time
+// - 'beat'     - a beat is sounding now (fired on the timer, for the display)
+// - 'bar'      - like 'beat', on the first beat of each bar
+// - 'tempo'    - like 'beat', when the tempo differs from the previous beat
+// - 'segment'  - like 'beat', when segmentIndex differs from the previous beat
+// - 'end'      - the timeline ran out and its last beat has finished
+//
+// The display events and 'end' fire `displayDelay` seconds after the beat's time:
+// the output latency, so they happen when the click is heard rather than when the
+// audio clock reaches it.
+
+class MetronomeEngine {
+    constructor(options = {}) {
+        this.now = options.now; // Current time in seconds, on the clock beats are scheduled against
+        this.setTimer = options.setTimer || ((callback, ms) => setTimeout(callback, ms));
+        this.clearTimer = options.clearTimer || (id => clearTimeout(id));
+        this.scheduleAheadTime = options.scheduleAheadTime || 0.1; // Schedule audio 100ms ahead
+        this.tickInterval = options.tickInterval || 25; // Check every 25ms
+        this.ticker = options.ticker || null;
+        this.displayDelay = options.displayDelay || 0; // Seconds from the audio clock to the ear
+        
+        this.listeners = {};
+        this.timeline = null;
+        this.nextBeatTime = 0;
+        this.running = false;
+        this.tickTimer = null;
+        this.pendingTimers = new Set();
+        this.lastTempo = null;
+        this.lastSegmentIndex = null;
+        this.lastBeat = null; // Last beat handed to 'schedule'
+    }
+    
+    on(name, callback) {
+        (this.listeners[name] = this.listeners[name] || []).push(callback);
+    }
+    
+    emit(name, data) {
+        (this.listeners[name] || []).forEach(callback => callback(data));
+    }
+    
+    // Plays `timeline` with its first beat at `startTime` (seconds on the engine clock)
+    start(timeline, startTime) {
+        this.stop();
+        this.timeline = timeline;
+        this.nextBeatTime = startTime;
+        this.lastTempo = null;
+        this.lastSegmentIndex = null;
+        this.lastBeat = null;
+        this.running = true;
+        if (this.ticker) {
+            this.ticker.start(() => this.tick(), this.tickInterval);
+        }
+        this.tick();
+    }
+    
+    // Swaps the rest of the timeline for `timeline` without touching the beats already
+    // scheduled, so its first beat follows straight on from them. Returns false when
+    // there is nothing playing to swap.
+    replace(timeline) {
+        if (!this.running || !this.timeline) return false;
+        this.timeline = timeline;
+        return true;
+    }
+    
+    // Moves the next beat that is not scheduled yet (and so everything after it) to
+    // `time`, e.g. to stay in line with an external clock
+    retime(time) {
+        if (!this.running || !this.timeline) return;
+        this.nextBeatTime = time;
+    }
+    
+    stop() {
+        this.running = false;
+        this.stopTicking();
+        this.pendingTimers.forEach(id => this.clearTimer(id));
+        this.pendingTimers.clear();
+        this.timeline = null;
+    }
+    
+    stopTicking() {
+        if (this.ticker) {
+            this.ticker.stop();
+        }
+        if (this.tickTimer !== null) {
+            this.clearTimer(this.tickTimer);
+            this.tickTimer = null;
+        }
+    }
+    
+    tick() {
+        this.tickTimer = null;
+        if (!this.running || !this.timeline) return;
+        
+        const horizon = this.now() + this.scheduleAheadTime;
+        while (this.nextBeatTime < horizon) {
+            const next = this.timeline.next();
+            if (next.done) {
+                // Nothing left to schedule - finish once the last beat has played out
+                this.timeline = null;
+                this.stopTicking();
+                this.at(this.nextBeatTime + this.displayDelay, () => {
+                    this.running = false;
+                    this.emit('end');
+                });
+                return;
+            }
+            
+            const beat = { ...next.value, time: this.nextBeatTime };
+            this.lastBeat = beat;
+            this.emit('schedule', beat);
+            this.notify(beat);
+            this.nextBeatTime += beat.duration;
+        }
+        if (!this.ticker) {
+            this.tickTimer = this.setTimer(() => this.tick(), this.tickInterval);
+        }
+    }
+    
+    // Display events fire when the beat sounds, not when it is scheduled
+    notify(beat) {
+        const segmentChanged = beat.segmentIndex !== this.lastSegmentIndex;
+        const tempoChanged = beat.tempo !== this.lastTempo;
+        this.lastSegmentIndex = beat.segmentIndex;
+        this.lastTempo = beat.tempo;
+        
+        this.at(beat.time + this.displayDelay, () => {
+            if (segmentChanged) this.emit('segment', beat);
+            if (tempoChanged) this.emit('tempo', beat);
+            if (beat.beatInBar === 1) this.emit('bar', beat);
+            this.emit('beat', beat);
+        });
+    }
+    
+    at(time, callback) {
+        const id = this.setTimer(() => {
+            this.pendingTimers.delete(id);
+            if (this.running) callback();
+        }, Math.max(0, (time - this.now()) * 1000));
+        this.pendingTimers.add(id);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MetronomeEngine };
+}
@@ -0,0 +1,133 @@
+/**
+ * Dynamic Metronome - Practice history
+ * Copyright (c) 2025 Pierangelo Gobbo. All Rights Reserved.
+ * 
+ * This software is proprietary and confidential.
+ * Unauthorized copying, distribution, or modification of this software,
+ * via any medium, is strictly prohibited without explicit permission.
+ * 
+ * For licensing inquiries, contact: pierangelogobbo@yahoo.it
+ */
+
+// ==================================
+//
+// Statistics over the practice log script.js keeps in localStorage. Each session
+// looks like:
+//
+// { date, mode, routine, planned, played, maxBpm, finished }
+// - date:     ISO time the session started
+// - mode:     'normal', 'ramp' or 'complex'
+// - routine:  routine name, or null for unsaved settings
+// - planned:  seconds the routine was set to last, 0 when it has no end
+// - played:   seconds of clicks actually heard (count-in and pauses left out)
+// - maxBpm:   highest tempo played
+// - finished: true if the routine ran to the end, false if it was stopped
+//
+// Days and weeks are in local time, keyed 'YYYY-MM-DD'; weeks start on Monday.
+// No DOM access: test/history.test.js runs it in Node, pinned to a time zone.
+
+const HISTORY_LIMIT = 2000; // Oldest sessions are dropped past this many
+const HISTORY_CSV_COLUMNS = ['date', 'mode', 'routine', 'planned', 'played', 'maxBpm', 'finished'];
+
+function toDayKey(date) {
+    const pad = (n) => n.toString().padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function fromDayKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+// The day `days` after (or before) a day key - by calendar, so DST changes don't matter
+function addDays(key, days) {
+    const date = fromDayKey(key);
+    date.setDate(date.getDate() + days);
+    return toDayKey(date);
+}
+
+// Day key of the Monday starting the week `date` is in
+function toWeekKey(date) {
+    const key = toDayKey(date);
+    return addDays(key, -((fromDayKey(key).getDay() + 6) % 7));
+}
+
+function addSession(sessions, session) {
+    const kept = [...sessions, session];
+    return kept.slice(Math.max(0, kept.length - HISTORY_LIMIT));
+}
+
+// Seconds played per day, oldest first, for the `days` days up to `today` (days
+// without practice included as 0)
+function getDailyTotals(sessions, days, today = new Date()) {
+    const totals = new Map();
+    sessions.forEach(session => {
+        const key = toDayKey(new Date(session.date));
+        totals.set(key, (totals.get(key) || 0) + session.played);
+    });
+    
+    const last = toDayKey(today);
+    const result = [];
+    for (let i = days - 1; i >= 0; i--) {
+        const day = addDays(last, -i);
+        result.push({ day, seconds: totals.get(day) || 0 });
+    }
+    return result;
+}
+
+// Days in a row with some practice: `current` ends today, or yesterday while today
+// is still open; `longest` is the best run ever
+function getStreaks(sessions, today = new Date()) {
+    const days = [...new Set(sessions.map(session => toDayKey(new Date(session.date))))].sort();
+    
+    let longest = 0;
+    let run = 0;
+    days.forEach((day, idx) => {
+        run = idx > 0 && addDays(days[idx - 1], 1) === day ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    });
+    
+    const practiced = new Set(days);
+    let day = toDayKey(today);
+    if (!practiced.has(day)) day = addDays(day, -1);
+    let current = 0;
+    while (practiced.has(day)) {
+        current++;
+        day = addDays(day, -1);
+    }
+    return { current, longest };
+}
+
+// Highest BPM reached each week with `routine` (null = unsaved settings), oldest first
+function getRoutineTrend(sessions, routine) {
+    const weeks = new Map();
+    sessions.forEach(session => {
+        if (session.routine !== routine) return;
+        const week = toWeekKey(new Date(session.date));
+        weeks.set(week, Math.max(weeks.get(week) || 0, session.maxBpm));
+    });
+    return [...weeks.entries()].sort(([a], [b]) => (a < b ? -1 : 1)).map(([week, maxBpm]) => ({ week, maxBpm }));
+}
+
+// Routine names are typed by the user and the file is meant for a spreadsheet, so text
+// starting with = + - or @ gets a ' in front to keep it from running as a formula
+function sessionsToCsv(sessions) {
+    const escape = (value) => {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [HISTORY_CSV_COLUMNS.join(',')];
+    sessions.forEach(session => {
+        lines.push(HISTORY_CSV_COLUMNS.map(column => escape(session[column])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        HISTORY_LIMIT, toDayKey, toWeekKey, addSession, getDailyTotals, getStreaks, getRoutineTrend, sessionsToCsv
+    };
+}
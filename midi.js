@@ -0,0 +1,233 @@
+/**
+ * Dynamic Metronome - Web MIDI bridge
+ * Copyright (c) 2025 Pierangelo Gobbo. All Rights Reserved.
+ * 
+ * This software is proprietary and confidential.
+ * Unauthorized copying, distribution, or modification of this software,
+ * via any medium, is strictly prohibited without explicit permission.
+ * 
+ * For licensing inquiries, contact: pierangelogobbo@yahoo.it
+ */
+
+// ==================================
+//
+// Sends MIDI clock (24 pulses per quarter note) plus Start/Stop/Continue to an
+// output port, follows incoming MIDI clock on an input port, and maps incoming
+// notes/CCs to metronome actions.
+//
+// No DOM access: everything it needs (navigator, clock) is passed in, so it can
+// run against a mocked navigator.requestMIDIAccess.
+//
+// Events (subscribe with on(name, callback)):
+// - 'ports'   - inputs/outputs were connected or disconnected
+// - 'tempo'   - BPM measured from incoming clock
+// - 'clock'   - an incoming clock pulse while the master plays: { pulse, timeStamp },
+//               `pulse` counting from 0 at Start (the downbeat) and carrying on after Continue
+// - 'start', 'stop', 'continue' - incoming transport messages
+// - 'action'  - a mapped note/CC fired: { action, value }
+// - 'learned' - a mapping was learned: { type, channel, number, action }
+
+const MIDI_CLOCK = 0xF8;
+const MIDI_START = 0xFA;
+const MIDI_CONTINUE = 0xFB;
+const MIDI_STOP = 0xFC;
+const MIDI_PPQN = 24;
+
+class MidiBridge {
+    constructor(options = {}) {
+        this.navigator = options.navigator || (typeof navigator !== 'undefined' ? navigator : null);
+        this.now = options.now || (() => performance.now());
+        
+        this.access = null;
+        this.output = null;
+        this.input = null;
+        this.listeners = {};
+        
+        // Incoming clock
+        this.clockTimes = [];
+        this.clockWindow = MIDI_PPQN; // Average over one quarter note of clock pulses
+        this.clockInterval = null; // ms per pulse, averaged over the window
+        this.lastTempo = null;
+        this.masterPlaying = false; // Between an incoming Start/Continue and Stop
+        this.masterPulse = 0; // Pulses since the incoming Start
+        
+        // Note/CC mappings: { type: 'note' | 'cc', channel, number, action }
+        this.mappings = [];
+        this.learnAction = null;
+        
+        this.handleMessage = this.handleMessage.bind(this);
+    }
+    
+    isSupported() {
+        return !!(this.navigator && this.navigator.requestMIDIAccess);
+    }
+    
+    async connect() {
+        if (!this.isSupported()) {
+            throw new Error('Web MIDI is not supported in this browser');
+        }
+        this.access = await this.navigator.requestMIDIAccess({ sysex: false });
+        this.access.onstatechange = () => this.emit('ports');
+        this.emit('ports');
+    }
+    
+    on(name, callback) {
+        (this.listeners[name] = this.listeners[name] || []).push(callback);
+    }
+    
+    emit(name, data) {
+        (this.listeners[name] || []).forEach(callback => callback(data));
+    }
+    
+    getInputs() {
+        return this.access ? [...this.access.inputs.values()] : [];
+    }
+    
+    getOutputs() {
+        return this.access ? [...this.access.outputs.values()] : [];
+    }
+    
+    selectOutput(id) {
+        this.output = this.getOutputs().find(port => port.id === id) || null;
+    }
+    
+    selectInput(id) {
+        if (this.input) {
+            this.input.onmidimessage = null;
+        }
+        this.input = this.getInputs().find(port => port.id === id) || null;
+        if (this.input) {
+            this.input.onmidimessage = this.handleMessage;
+        }
+        this.clockTimes = [];
+        this.clockInterval = null;
+        this.masterPlaying = false;
+    }
+    
+    // Clock pulses in one beat of a meter with this beat unit: 24 for a quarter, 12 for an eighth
+    getPulsesPerBeat(beatUnit = 4) {
+        return Math.max(1, Math.round(MIDI_PPQN * 4 / beatUnit));
+    }
+    
+    send(data, timestamp) {
+        if (!this.output) return;
+        this.output.send(data, timestamp);
+    }
+    
+    // Clock pulses for one beat that starts at `timestamp` (ms, performance.now() timeline)
+    // and lasts `duration` ms. A quarter-note beat gets 24 pulses, an eighth 12, and so on.
+    sendBeatClock(timestamp, duration, beatUnit = 4) {
+        if (!this.output) return;
+        const pulses = this.getPulsesPerBeat(beatUnit);
+        for (let i = 0; i < pulses; i++) {
+            this.send([MIDI_CLOCK], timestamp + duration * i / pulses);
+        }
+    }
+    
+    sendStart(timestamp) {
+        this.send([MIDI_START], timestamp);
+    }
+    
+    // Drops clock pulses already queued for the future (where the browser supports it)
+    clear() {
+        if (this.output && this.output.clear) {
+            this.output.clear();
+        }
+    }
+    
+    sendStop(timestamp) {
+        this.send([MIDI_STOP], timestamp);
+    }
+    
+    sendContinue(timestamp) {
+        this.send([MIDI_CONTINUE], timestamp);
+    }
+    
+    // The next note or CC received is mapped to `action` (null cancels learning)
+    learn(action) {
+        this.learnAction = action;
+    }
+    
+    setMappings(mappings) {
+        this.mappings = mappings.slice();
+    }
+    
+    handleMessage(event) {
+        const [status, data1, data2] = event.data;
+        const timeStamp = event.timeStamp !== undefined ? event.timeStamp : this.now();
+        
+        if (status === MIDI_CLOCK) {
+            this.handleClock(timeStamp);
+            return;
+        }
+        if (status === MIDI_START) {
+            this.masterPlaying = true;
+            this.masterPulse = 0;
+            this.emit('start');
+            return;
+        }
+        if (status === MIDI_CONTINUE) {
+            this.masterPlaying = true;
+            this.emit('continue');
+            return;
+        }
+        if (status === MIDI_STOP) {
+            this.masterPlaying = false;
+            this.emit('stop');
+            return;
+        }
+        
+        const kind = status & 0xF0;
+        const channel = status & 0x0F;
+        let type = null;
+        if (kind === 0x90 && data2 > 0) {
+            type = 'note'; // Note on (velocity 0 is a note off)
+        } else if (kind === 0xB0) {
+            type = 'cc';
+        }
+        if (type === null) return;
+        
+        if (this.learnAction) {
+            const mapping = { type, channel, number: data1, action: this.learnAction };
+            this.mappings = this.mappings.filter(m => !(m.type === type && m.channel === channel && m.number === data1));
+            this.mappings.push(mapping);
+            this.learnAction = null;
+            this.emit('learned', mapping);
+            return;
+        }
+        
+        this.mappings
+            .filter(m => m.type === type && m.channel === channel && m.number === data1)
+            .forEach(m => this.emit('action', { action: m.action, value: data2 }));
+    }
+    
+    // Clock keeps coming while the master is stopped, so it is always measured but only
+    // counted between Start/Continue and Stop
+    handleClock(timeStamp) {
+        this.clockTimes.push(timeStamp);
+        if (this.clockTimes.length > this.clockWindow + 1) {
+            this.clockTimes.shift();
+        }
+        if (this.clockTimes.length === this.clockWindow + 1) {
+            // One quarter note's worth of pulses
+            const span = this.clockTimes[this.clockTimes.length - 1] - this.clockTimes[0];
+            const tempo = Math.round(60000 * this.clockWindow / (span * MIDI_PPQN));
+            if (span > 0) {
+                this.clockInterval = span / this.clockWindow;
+            }
+            if (tempo !== this.lastTempo && isFinite(tempo) && tempo > 0) {
+                this.lastTempo = tempo;
+                this.emit('tempo', tempo);
+            }
+        }
+        
+        if (this.masterPlaying) {
+            this.emit('clock', { pulse: this.masterPulse, timeStamp });
+            this.masterPulse++;
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MidiBridge, MIDI_CLOCK, MIDI_START, MIDI_CONTINUE, MIDI_STOP, MIDI_PPQN };
+}
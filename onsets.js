@@ -0,0 +1,159 @@
+/**
+ * Dynamic Metronome - Timing analysis
+ * Copyright (c) 2025 Pierangelo Gobbo. All Rights Reserved.
+ * 
+ * This software is proprietary and confidential.
+ * Unauthorized copying, distribution, or modification of this software,
+ * via any medium, is strictly prohibited without explicit permission.
+ * 
+ * For licensing inquiries, contact: pierangelogobbo@yahoo.it
+ */
+
+// ==================================
+//
+// Finds note onsets in audio and measures them against the clicks they were
+// played to. Used on the microphone while the metronome runs (fed in blocks by
+// recorder-worklet.js) and on a loaded audio file, through the same detector.
+//
+// Onsets are frames whose energy jumps well above a slowly following background
+// level - made for the sharp attack of a drum, a pick or a clap, not for slurred
+// notes. Each click keeps the onset nearest to it, if that lies within a quarter of
+// a beat; anything further away is an off-beat note and is left out.
+//
+// Clicks are { time, duration, step, label, ... } in seconds on the same clock as
+// the onsets. Offsets are onset minus click time: negative = early (rushing),
+// positive = late (dragging).
+//
+// No DOM access: test/onsets.test.js runs it on generated audio in Node.
+
+const ONSET_FRAME = 0.0015; // Seconds of audio per energy frame - the timing resolution
+const ONSET_BACKGROUND = 0.1; // Time constant of the background level, in seconds
+const ONSET_THRESHOLD = 8; // Frame energy over the background that counts as an onset (9 dB)
+const ONSET_MIN_ENERGY = 1e-5; // Quieter frames never count (-50 dBFS)
+const ONSET_MIN_GAP = 0.05; // Seconds after an onset before the next one can start
+const ONSET_MATCH_WINDOW = 0.25; // Furthest an onset can be from its click, in beats
+const ONSET_TOLERANCE = 0.01; // Mean offsets within this many seconds count as steady
+
+class OnsetDetector {
+    constructor(sampleRate) {
+        this.sampleRate = sampleRate;
+        this.frameLength = Math.max(1, Math.round(ONSET_FRAME * sampleRate));
+        this.decay = 1 - Math.exp(-this.frameLength / sampleRate / ONSET_BACKGROUND);
+        this.pending = new Float32Array(0); // Samples short of a whole frame, kept for the next push
+        this.background = 0;
+        this.lastOnset = -Infinity;
+    }
+    
+    // Feeds the next block of mono samples, the first of them at `startTime` seconds.
+    // Returns the times of the onsets found in it.
+    push(samples, startTime) {
+        const buffer = new Float32Array(this.pending.length + samples.length);
+        buffer.set(this.pending);
+        buffer.set(samples, this.pending.length);
+        const bufferTime = startTime - this.pending.length / this.sampleRate;
+        
+        const onsets = [];
+        let offset = 0;
+        for (; offset + this.frameLength <= buffer.length; offset += this.frameLength) {
+            let energy = 0;
+            for (let i = offset; i < offset + this.frameLength; i++) {
+                energy += buffer[i] * buffer[i];
+            }
+            energy /= this.frameLength;
+            
+            const time = bufferTime + offset / this.sampleRate;
+            if (energy > ONSET_MIN_ENERGY && energy > this.background * ONSET_THRESHOLD &&
+                time - this.lastOnset >= ONSET_MIN_GAP) {
+                onsets.push(time);
+                this.lastOnset = time;
+            }
+            this.background += (energy - this.background) * this.decay;
+        }
+        this.pending = buffer.slice(offset);
+        return onsets;
+    }
+}
+
+// Onset times in a whole recording (e.g. a decoded audio file) starting at 0
+function detectOnsets(samples, sampleRate) {
+    return new OnsetDetector(sampleRate).push(samples, 0);
+}
+
+// Index of the click nearest to `time`, in clicks sorted by time (-1 when there are none)
+function findNearestClick(clicks, time) {
+    let low = 0;
+    let high = clicks.length - 1;
+    while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        if (clicks[mid].time < time) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    if (low > 0 && time - clicks[low - 1].time < Math.abs(clicks[low].time - time)) {
+        return low - 1;
+    }
+    return clicks.length > 0 ? low : -1;
+}
+
+// Matches `onsets` to `clicks` and returns the offset of every click (null when
+// nothing was played near it). Pass the previous result as `offsets` to add the
+// onsets of the next block to it.
+function matchOnsets(onsets, clicks, offsets = []) {
+    const result = clicks.map((click, idx) => (offsets[idx] === undefined ? null : offsets[idx]));
+    onsets.forEach(time => {
+        const idx = findNearestClick(clicks, time);
+        if (idx === -1) return;
+        const offset = time - clicks[idx].time;
+        if (Math.abs(offset) > clicks[idx].duration * ONSET_MATCH_WINDOW) return;
+        if (result[idx] === null || Math.abs(offset) < Math.abs(result[idx])) {
+            result[idx] = offset;
+        }
+    });
+    return result;
+}
+
+// 'rushing', 'dragging' or 'steady' for a mean offset in seconds
+function getTendency(mean) {
+    if (mean < -ONSET_TOLERANCE) return 'rushing';
+    if (mean > ONSET_TOLERANCE) return 'dragging';
+    return 'steady';
+}
+
+// { count, mean, spread, tendency } of the offsets that aren't null. `spread` is the
+// standard deviation - how far single notes stray from the mean.
+function summarizeOffsets(offsets) {
+    const played = offsets.filter(offset => offset !== null);
+    if (played.length === 0) {
+        return { count: 0, mean: 0, spread: 0, tendency: 'steady' };
+    }
+    const mean = played.reduce((sum, offset) => sum + offset, 0) / played.length;
+    const variance = played.reduce((sum, offset) => sum + (offset - mean) * (offset - mean), 0) / played.length;
+    return { count: played.length, mean, spread: Math.sqrt(variance), tendency: getTendency(mean) };
+}
+
+// One summary per tempo step, in the order they were played:
+// { step, label, clicks, count, mean, spread, tendency }
+function summarizeSteps(clicks, offsets) {
+    const steps = new Map();
+    clicks.forEach((click, idx) => {
+        if (!steps.has(click.step)) {
+            steps.set(click.step, { label: click.label, offsets: [] });
+        }
+        steps.get(click.step).offsets.push(offsets[idx] === undefined ? null : offsets[idx]);
+    });
+    return [...steps.entries()].map(([step, { label, offsets: stepOffsets }]) => ({
+        step,
+        label,
+        clicks: stepOffsets.length,
+        ...summarizeOffsets(stepOffsets)
+    }));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ONSET_TOLERANCE, OnsetDetector, detectOnsets, findNearestClick, matchOnsets, getTendency,
+        summarizeOffsets, summarizeSteps
+    };
+}
@@ -0,0 +1,49 @@
+/**
+ * Dynamic Metronome - Microphone recorder
+ * Copyright (c) 2025 Pierangelo Gobbo. All Rights Reserved.
+ * 
+ * This software is proprietary and confidential.
+ * Unauthorized copying, distribution, or modification of this software,
+ * via any medium, is strictly prohibited without explicit permission.
+ * 
+ * For licensing inquiries, contact: pierangelogobbo@yahoo.it
+ */
+
+// ==================================
+//
+// AudioWorklet processor that hands the microphone to the page in blocks, each
+// stamped with the audio clock time of its first sample - the clock the clicks are
+// scheduled on - so onsets can be measured against them (see onsets.js).
+//
+// Messages out: { time, samples } with `samples` a mono Float32Array
+
+const RECORDER_BLOCK = 2048; // Samples per message (about 43ms at 48kHz)
+
+class RecorderProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.block = new Float32Array(RECORDER_BLOCK);
+        this.filled = 0;
+        this.blockTime = 0;
+    }
+    
+    process(inputs) {
+        const channel = inputs[0] && inputs[0][0];
+        if (!channel) return true;
+        
+        for (let i = 0; i < channel.length; i++) {
+            if (this.filled === 0) {
+                this.blockTime = currentTime + i / sampleRate;
+            }
+            this.block[this.filled++] = channel[i];
+            if (this.filled === RECORDER_BLOCK) {
+                this.port.postMessage({ time: this.blockTime, samples: this.block }, [this.block.buffer]);
+                this.block = new Float32Array(RECORDER_BLOCK);
+                this.filled = 0;
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('dynamic-metronome-recorder', RecorderProcessor);
@@ -0,0 +1,91 @@
+/**
+ * Dynamic Metronome - User click samples
+ * Copyright (c) 2025 Pierangelo Gobbo. All Rights Reserved.
+ * 
+ * This software is proprietary and confidential.
+ * Unauthorized copying, distribution, or modification of this software,
+ * via any medium, is strictly prohibited without explicit permission.
+ * 
+ * For licensing inquiries, contact: pierangelogobbo@yahoo.it
+ */
+
+// ==================================
+//
+// Keeps the decoded audio of user samples (one per click voice: accent, normal,
+// subdivision, poly) in IndexedDB, since localStorage is too small for audio.
+//
+// Records look like { voice, name, sampleRate, channels: [Float32Array, ...] }.
+// Trim and gain are settings, not audio, so script.js keeps them in localStorage.
+
+const SAMPLE_DB_NAME = 'dynamicMetronome';
+const SAMPLE_DB_VERSION = 1;
+const SAMPLE_STORE = 'samples';
+
+class SampleStore {
+    constructor(options = {}) {
+        this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.dbPromise = null;
+    }
+    
+    isSupported() {
+        return !!this.indexedDB;
+    }
+    
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = this.indexedDB.open(SAMPLE_DB_NAME, SAMPLE_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(SAMPLE_STORE, { keyPath: 'voice' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+    
+    // Runs one request against the samples store and resolves with its result
+    async run(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction(SAMPLE_STORE, mode).objectStore(SAMPLE_STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    getAll() {
+        return this.run('readonly', store => store.getAll());
+    }
+    
+    put(record) {
+        return this.run('readwrite', store => store.put(record));
+    }
+    
+    delete(voice) {
+        return this.run('readwrite', store => store.delete(voice));
+    }
+}
+
+function audioBufferToRecord(voice, name, buffer) {
+    const channels = [];
+    for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+        channels.push(new Float32Array(buffer.getChannelData(ch)));
+    }
+    return { voice, name, sampleRate: buffer.sampleRate, channels };
+}
+
+function recordToAudioBuffer(record) {
+    const buffer = new AudioBuffer({
+        length: record.channels[0].length,
+        numberOfChannels: record.channels.length,
+        sampleRate: record.sampleRate
+    });
+    record.channels.forEach((data, ch) => buffer.copyToChannel(data, ch));
+    return buffer;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SampleStore, audioBufferToRecord, recordToAudioBuffer };
+}
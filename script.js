@@ -12,11 +12,14 @@
 // ==================================
 //
 // SOUND STYLES:
-// To change the metronome sound, find line ~18 and set this.soundStyle to one of:
+// Pick the metronome sound in the Sound panel (stored in this.soundStyle):
 // - 'classic' (default) - smooth sine wave tones
 // - 'woodblock' - percussive wood block sound
 // - 'click' - sharp click sound
 // - 'beep' - electronic beep
+// The same panel sets volume and pitch for accent, normal, subdivision and
+// polyrhythm clicks (this.mixer), plus a master volume. The polyrhythm lane has
+// its own style (this.polyStyle).
 //
 // Or modify the playClick functions to create your own custom sounds!
 //
@@ -26,34 +29,276 @@
 // - Accent: gold outline, plays higher pitch
 // - Muted: dark grey, silent
 
+// Routine file format - bump ROUTINE_FORMAT_VERSION and add a migration
+// whenever the shape of a saved routine changes.
+const ROUTINE_FORMAT = 'dynamic-metronome-routine';
+const ROUTINE_FORMAT_VERSION = 10;
+const BEAT_STATES = ['normal', 'accent', 'muted'];
+
+// Time signature denominators (the note values BPM can count are PULSE_NOTES, in timeline.js)
+const BEAT_UNITS = [2, 4, 8, 16];
+
+// Ramp shapes: 'stepped' holds each tempo for BARS/TEMPO bars, the others change tempo
+// on every beat and spread the whole ramp over BARS/TEMPO bars
+const RAMP_CURVES = ['stepped', 'linear', 'exponential', 's-curve'];
+const RAMP_CURVE_LABELS = {
+    stepped: 'stepped',
+    linear: 'linear',
+    exponential: 'exponential',
+    's-curve': 'S-curve'
+};
+// What BARS/TEMPO counts. In seconds or minutes the tempo still only changes on a bar
+// line: the one nearest to the end of the time (see getStepBars() in timeline.js)
+const LENGTH_UNITS = ['bars', 'seconds', 'minutes'];
+
+// Trainer modes that mute the click on purpose: 'gap' plays gapPlay bars then mutes
+// gapMute bars; 'random' mutes each beat with a chance that rises from dropStart% to
+// dropEnd% over dropBars bars. trainerHide also hides the silent beats on the canvas.
+const TRAINER_MODES = ['off', 'gap', 'random'];
+
+const TRAINER_MODE_LABELS = {
+    off: 'off',
+    gap: 'gap click',
+    random: 'random dropout'
+};
+
+const TRAINER_DEFAULTS = {
+    trainer: 'off',
+    gapPlay: 2,
+    gapMute: 2,
+    dropStart: 10,
+    dropEnd: 50,
+    dropBars: 16,
+    trainerHide: false
+};
+
+// Polyrhythm lane: `poly` pulses spread evenly over each bar against its beats
+// (0 = off), with their own [pulse, state] accents and their own click voice
+const POLY_DEFAULTS = {
+    poly: 0,
+    polyAccents: [[1, 'accent']]
+};
+
+const RUN_MODE_LABELS = {
+    normal: 'Normal',
+    ramp: 'Simple Ramp',
+    complex: 'Complex Ramp'
+};
+
+// ROUTINE_MIGRATIONS[n] turns a version n routine into version n + 1
+const ROUTINE_MIGRATIONS = {
+    0: (data) => ({
+        format: ROUTINE_FORMAT,
+        version: 1,
+        name: typeof data.name === 'string' ? data.name : null,
+        knobs: data.knobs || { beats: 4, bars: 1, startBpm: 120, endBpm: 120, increment: 0 },
+        segments: data.segments || [],
+        beatStates: data.beatStates || [[1, 'accent']],
+        sound: { style: 'classic' }
+    }),
+    // Version 2 added subdivisions and swing to the knobs and to every segment
+    1: (data) => ({
+        ...data,
+        version: 2,
+        knobs: { subdivision: 1, swing: 50, ...data.knobs },
+        segments: (data.segments || []).map(seg => ({ subdivision: 1, swing: 50, ...seg }))
+    }),
+    // Version 3 added time signatures: beat unit, BPM pulse and beat grouping
+    2: (data) => ({
+        ...data,
+        version: 3,
+        knobs: { beatUnit: 4, pulse: 'beat', grouping: '', ...data.knobs },
+        segments: (data.segments || []).map(seg => ({ beatUnit: 4, pulse: 'beat', grouping: '', ...seg }))
+    }),
+    // Version 4 gave every segment its own accent pattern, taken from the global one
+    3: (data) => ({
+        ...data,
+        version: 4,
+        segments: (data.segments || []).map(seg => ({
+            accents: (data.beatStates || []).filter(([beat]) => beat <= seg.beats),
+            ...seg
+        }))
+    }),
+    // Version 5 added continuous ramp curves and the "reach exactly the end BPM" option
+    4: (data) => ({
+        ...data,
+        version: 5,
+        knobs: { curve: 'stepped', exactEnd: false, ...data.knobs },
+        segments: (data.segments || []).map(seg => ({ curve: 'stepped', exactEnd: false, ...seg }))
+    }),
+    // Version 6 added the mixer (master volume, per-voice volume and pitch) to the sound settings
+    5: (data) => ({
+        ...data,
+        version: 6,
+        sound: { ...createDefaultMixer(), ...data.sound }
+    }),
+    // Version 7 added repeats: play the routine `count` times (0 = forever), shifting
+    // every tempo by `offset` BPM per pass, never past `cap`
+    6: (data) => ({
+        ...data,
+        version: 7,
+        repeat: { count: 1, offset: 0, cap: 400, ...data.repeat }
+    }),
+    // Version 8 added the gap-click / random-dropout trainer to the knobs and every segment
+    7: (data) => ({
+        ...data,
+        version: 8,
+        knobs: { ...TRAINER_DEFAULTS, ...data.knobs },
+        segments: (data.segments || []).map(seg => ({ ...TRAINER_DEFAULTS, ...seg }))
+    }),
+    // Version 9 added lengthUnit to the knobs and every segment: `bars` counted in bars,
+    // seconds or minutes (see LENGTH_UNITS)
+    8: (data) => ({
+        ...data,
+        version: 9,
+        knobs: { lengthUnit: 'bars', ...data.knobs },
+        segments: (data.segments || []).map(seg => ({ lengthUnit: 'bars', ...seg }))
+    }),
+    // Version 10 added the polyrhythm lane to the knobs and every segment, and its
+    // click style and mixer voice to the sound settings
+    9: (data) => ({
+        ...data,
+        version: 10,
+        knobs: { ...POLY_DEFAULTS, ...data.knobs },
+        segments: (data.segments || []).map(seg => ({ ...POLY_DEFAULTS, ...seg })),
+        sound: { polyStyle: 'woodblock', poly: createDefaultMixer().poly, ...data.sound }
+    })
+};
+
+// Click voices the mixer controls; subdivisions and the polyrhythm lane start quieter
+// so the beat stays in front
+const SOUND_VOICES = ['accent', 'normal', 'subdivision', 'poly'];
+
+function createDefaultMixer() {
+    return {
+        master: 100,
+        accent: { volume: 100, pitch: 0 },
+        normal: { volume: 100, pitch: 0 },
+        subdivision: { volume: 35, pitch: 0 },
+        poly: { volume: 80, pitch: 0 }
+    };
+}
+
 class DynamicMetronome {
     constructor() {
         // Audio context
         this.audioContext = null;
         this.accentFreq = 1000;
         this.normalFreq = 800;
+        this.soundStyle = 'classic';
+        this.soundStyles = ['classic', 'woodblock', 'click', 'beep'];
+        this.polyStyle = 'woodblock'; // The polyrhythm lane has a style of its own to stand apart
+        this.mixer = createDefaultMixer(); // Volumes in %, pitch in semitones
+        this.mixerRanges = { volume: [0, 100], pitch: [-12, 12] };
+        this.masterGain = null; // Every click is routed through this node
         
         // State
         this.isRunning = false;
         this.currentTempo = 120;
-        this.currentBeatsPerBar = null;
+        this.currentSegment = null; // Segment playing in Complex Ramp, drawn on the beat canvas
         this.currentSegmentIndex = -1;
+        this.selectedSegmentIndex = -1; // Saved segment whose accents the beat canvas edits
+        this.editingSegmentIndex = -1; // Saved segment loaded into the knobs - Save Segment writes it back
+        this.knobsBeforeEdit = null; // { knobs, beatStates, endBpmManuallyChanged } for Cancel to put back
+        this.dragSegmentIndex = -1; // Segment being dragged to a new position
         this.beatStates = new Map([[1, 'accent']]); // 'normal', 'accent', or 'muted'
         this.tempoSegments = [];
         this.endBpmManuallyChanged = false;
         
+        // Repeats: count 0 plays forever; each pass shifts every tempo by `offset`, up to `cap`
+        this.repeat = { count: 1, offset: 0, cap: 400 };
+        this.repeatRanges = { count: [0, 100], offset: [-50, 50], cap: [1, 400] };
+        this.loopingSegment = false; // Replay the playing segment until switched off
+        this.currentPass = 0;
+        
+        // Trainer (see TRAINER_MODES) and what it silenced during the last run
+        this.trainerRanges = { gapPlay: [1, 16], gapMute: [1, 16], dropStart: [0, 100], dropEnd: [0, 100], dropBars: [1, 100] };
+        this.trainerStats = { bars: 0, silentBars: 0, droppedBeats: 0 };
+        this.barSilent = false; // Every beat of the bar playing so far was silenced
+        
+        // Tap tempo
+        this.tapTimes = [];
+        this.tapTimeout = 2000; // ms without a tap before starting over
+        this.maxTaps = 8; // Only the most recent taps are averaged
+        this.tapKey = 't';
+        
+        // MIDI clock output, clock sync and note/CC mappings (see midi.js)
+        this.midi = new MidiBridge();
+        this.midiStorageKey = 'dynamicMetronome.midi';
+        this.midiSettings = { outputId: '', inputId: '', clockOut: false, sync: false, mappings: [] };
+        this.midiStartPending = false;
+        this.midiContinue = false; // Send Continue instead of Start (after a pause)
+        this.midiTempoCcRange = [40, 240]; // BPM range a tempo CC (0-127) sweeps
+        this.midiSyncPending = false; // Follow Clock: start on the master's next beat
+        this.midiSync = null; // { beats } while following the master - index of the next beat to schedule
+        
+        // User samples that replace the synthesized voices (see samples.js)
+        this.sampleStore = new SampleStore();
+        this.samplesStorageKey = 'dynamicMetronome.samples';
+        this.samples = {}; // Voice name -> decoded AudioBuffer
+        this.sampleSettings = {}; // Voice name -> { name, trimStart, trimEnd, gain }
+        this.sampleRanges = { trim: [0, 2000], gain: [0, 200] }; // Trim in ms, gain in %
+        
+        // Persistence
+        this.stateStorageKey = 'dynamicMetronome.state';
+        this.routinesStorageKey = 'dynamicMetronome.routines';
+        this.routines = []; // Saved routine library: { name, knobs, segments, beatStates }
+        this.currentRoutineName = null;
+        this.historyStorageKey = 'dynamicMetronome.history';
+        this.history = []; // Practice log, oldest first (see history.js)
+        this.session = null; // Session being played: { date, mode, routine, planned, played, maxBpm }
+        this.historyDays = 14; // Days shown in the practice-per-day chart
+        
+        // Microphone timing analysis (see onsets.js)
+        this.recorder = null; // { stream, source, node } while the microphone is on
+        this.onsetDetector = null; // Set while a run is being analyzed
+        this.analysisClicks = []; // Clicks to measure against, in time order: { time, duration, beatInBar, step, label }
+        this.analysisOffsets = []; // Onset offset of each click in seconds, null = not played
+        this.timingMarks = new Map(); // Beat number -> { offset, fraction } last played, drawn on the beat canvas
+        
         // Timing
-        this.nextBeatTime = 0;
+        this.preRollTime = 1.0; // "GET READY" pause before the count-in, in seconds
         this.timerInterval = null;
         this.sessionStartTime = 0;
         this.totalTime = 0;
+        this.runMode = null; // 'normal', 'ramp' or 'complex' while running
+        this.isPaused = false;
+        this.lastBeat = null; // Last beat that sounded - a pause picks up after it
+        this.activePulse = null; // Polyrhythm pulse lit on the beat canvas (0-based)
+        this.pausedElapsed = 0; // Seconds of the countdown already played when paused
+        this.playbackStorageKey = 'dynamicMetronome.playback';
+        // Count in one bar when resuming; jumps wait for the end of the bar ('bar') or not ('now')
+        this.playbackSettings = { resumeCountIn: true, jumpMode: 'bar' };
+        
+        // Look-ahead scheduling for precise timing (see engine.js), ticked from a
+        // worker so it keeps time with the screen locked or the tab in the background
+        this.engine = new MetronomeEngine({
+            now: () => this.audioContext.currentTime,
+            ticker: this.createWorkerTicker()
+        });
+        this.wakeLock = null; // Keeps the screen on while running
+        
+        // Output latency: the browser's estimate plus an offset calibrated by tapping along,
+        // kept per output device, so the display lines up with what is heard
+        this.latencyStorageKey = 'dynamicMetronome.latency';
+        this.latencyProfiles = {}; // Device id -> { name, offset } with the offset in ms
+        this.latencyRange = [-500, 500]; // Offset in ms
+        this.outputDevice = { id: 'default', name: 'Default output' };
+        this.calibration = null; // { clicks, taps } on the audio clock while calibrating
+        this.calibrationBpm = 80; // Slow enough that half a beat covers Bluetooth delays
+        this.calibrationClicks = 20;
+        this.calibrationLeadIn = 4; // Clicks to settle in to before taps count
+        this.calibrationMinTaps = 8;
         
-        // Look-ahead scheduling for precise timing
-        this.scheduleAheadTime = 0.1; // Schedule audio 100ms ahead
-        this.schedulerInterval = 25; // Check every 25ms (not every 1ms!)
-        this.schedulerTimer = null;
-        this.currentBeatIndex = 0;
-        this.visualUpdateInterval = null;
+        // Stage View: full-screen flash, counter and motion for rooms too loud to hear
+        // the click, with optional vibration and the sound muted while it is open
+        this.stageStorageKey = 'dynamicMetronome.stage';
+        this.stageSettings = { motion: 'pendulum', vibrate: false, muted: false }; // motion: 'flash', 'pendulum' or 'ball'
+        this.stageOpen = false;
+        this.stageBeat = null; // Last beat heard, for the counter and the motion
+        this.stageBeatCount = 0; // Beats heard so far - the pendulum swings the other way on odd ones
+        this.stageFrame = null; // requestAnimationFrame id while the stage is open
+        this.stageVibration = { accent: 80, normal: 30 }; // Pulse lengths in ms
         
         // Knob values
         this.knobs = {
@@ -61,16 +306,54 @@ class DynamicMetronome {
             bars: 1,
             startBpm: 120,
             endBpm: 120,
-            increment: 0
+            increment: 0,
+            subdivision: 1, // Clicks per beat, 1 = no subdivision
+            swing: 50, // Percent of a subdivision pair taken by its first note, 50 = straight
+            beatUnit: 4, // Time signature denominator
+            pulse: 'beat', // Note value the BPM counts (see PULSE_NOTES)
+            grouping: '', // Beat grouping such as '2+2+3', '' = none
+            curve: 'stepped', // Ramp shape (see RAMP_CURVES)
+            exactEnd: false, // Stepped ramps finish on the end BPM even if the increment overshoots it
+            lengthUnit: 'bars', // Unit of `bars` (see LENGTH_UNITS)
+            ...POLY_DEFAULTS, // Polyrhythm lane (see POLY_DEFAULTS)
+            ...TRAINER_DEFAULTS // Gap-click / random-dropout trainer (see TRAINER_MODES)
+        };
+        
+        // Knob ranges [min, max] - shared by the knobs and by routine import validation
+        this.knobRanges = {
+            beats: [1, 32],
+            bars: [1, 100],
+            startBpm: [1, 400],
+            endBpm: [1, 400],
+            increment: [0, 50],
+            subdivision: [1, 16],
+            swing: [50, 75],
+            poly: [0, 16]
         };
         
         // Initialize
+        this.loadState();
+        this.readSharedLink();
         this.initAudio();
         this.initKnobs();
         this.initBeatCanvas();
         this.initButtons();
+        this.initEngine();
+        this.initTransport();
+        this.initBackgroundPlayback();
+        this.initTapTempo();
+        this.initRoutineLibrary();
+        this.initSoundPanel();
+        this.initSamples();
+        this.initMidi();
+        this.initRender();
+        this.initHistory();
+        this.initAnalysis();
+        this.initLatency();
+        this.initStage();
         this.updateModeIndicators();
         this.updateBeatDisplay();
+        this.updateSegmentsDisplay();
     }
     
     initAudio() {
@@ -88,63 +371,114 @@ class DynamicMetronome {
         }, { once: true });
     }
     
-    playClick(beatState, scheduleTime) {
-        if (!this.audioContext || beatState === 'muted') return;
+    // Shared output bus: the master volume lives here instead of on every click
+    getOutput() {
+        if (!this.masterGain) {
+            this.masterGain = this.audioContext.createGain();
+            this.masterGain.gain.value = this.mixer.master / 100;
+            this.masterGain.connect(this.audioContext.destination);
+        }
+        return this.masterGain;
+    }
+    
+    // beatState is 'normal', 'accent', 'muted' or 'subdivision'. `output` defaults to
+    // the master bus; any AudioNode works, so the same voices can render elsewhere.
+    // `voiceName` picks the mixer voice and sample - 'poly' plays the polyrhythm lane
+    // in its own style, accented or not by beatState.
+    playClick(beatState, scheduleTime, output = null, voiceName = beatState) {
+        if ((!output && !this.audioContext) || beatState === 'muted') return;
         
         // If no schedule time provided, play immediately
         const when = scheduleTime !== undefined ? scheduleTime : this.audioContext.currentTime;
         
-        // Sound style options - you can change this.soundStyle to try different sounds:
-        // 'classic' - simple sine waves (current)
-        // 'woodblock' - percussive wood block sound
-        // 'click' - sharp click sound
-        // 'beep' - electronic beep
-        this.soundStyle = this.soundStyle || 'classic';
+        const mix = this.mixer[voiceName] || this.mixer.normal;
+        if (mix.volume === 0) return;
         
-        if (this.soundStyle === 'classic') {
-            this.playClassicClick(beatState === 'accent', when);
-        } else if (this.soundStyle === 'woodblock') {
-            this.playWoodblock(beatState === 'accent', when);
-        } else if (this.soundStyle === 'click') {
-            this.playSharpClick(beatState === 'accent', when);
-        } else if (this.soundStyle === 'beep') {
-            this.playBeep(beatState === 'accent', when);
+        const isAccent = beatState === 'accent';
+        const voice = {
+            destination: output || this.getOutput(),
+            volume: mix.volume / 100,
+            pitch: Math.pow(2, mix.pitch / 12) // Semitones to frequency ratio
+        };
+        
+        const style = voiceName === 'poly' ? this.polyStyle : this.soundStyle;
+        if (this.samples[voiceName]) {
+            this.playSample(this.samples[voiceName], this.sampleSettings[voiceName], when, voice);
+        } else if (style === 'classic') {
+            this.playClassicClick(isAccent, when, voice);
+        } else if (style === 'woodblock') {
+            this.playWoodblock(isAccent, when, voice);
+        } else if (style === 'click') {
+            this.playSharpClick(isAccent, when, voice);
+        } else if (style === 'beep') {
+            this.playBeep(isAccent, when, voice);
         }
     }
     
-    playClassicClick(isAccent, when) {
-        const osc = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
+    // Each voice takes { destination, volume, pitch } and builds its nodes on destination's context
+    playClassicClick(isAccent, when, voice) {
+        const ctx = voice.destination.context;
+        const osc = ctx.createOscillator();
+        const gainNode = ctx.createGain();
         
         osc.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
+        gainNode.connect(voice.destination);
         
-        osc.frequency.value = isAccent ? 1000 : 800;
+        osc.frequency.value = (isAccent ? 1000 : 800) * voice.pitch;
         osc.type = 'sine';
         
-        gainNode.gain.setValueAtTime(0.3, when);
+        gainNode.gain.setValueAtTime(0.3 * voice.volume, when);
         gainNode.gain.exponentialRampToValueAtTime(0.01, when + 0.05);
         
         osc.start(when);
         osc.stop(when + 0.05);
     }
     
-    playWoodblock(isAccent, when) {
+    // A user sample, trimmed and with its own gain on top of the mixer volume.
+    // The mixer pitch changes the playback rate.
+    playSample(buffer, settings, when, voice) {
+        const ctx = voice.destination.context;
+        const source = ctx.createBufferSource();
+        const gainNode = ctx.createGain();
+        
+        source.buffer = buffer;
+        source.playbackRate.value = voice.pitch;
+        source.connect(gainNode);
+        gainNode.connect(voice.destination);
+        
+        const offset = Math.min(settings.trimStart / 1000, buffer.duration);
+        const length = Math.max(0, buffer.duration - offset - settings.trimEnd / 1000);
+        if (length === 0) return;
+        
+        // Short fade at the trim point so a cut-off sample doesn't pop
+        const end = when + length / voice.pitch;
+        const fade = Math.min(0.005, length / voice.pitch / 2);
+        const level = voice.volume * settings.gain / 100;
+        gainNode.gain.setValueAtTime(level, when);
+        gainNode.gain.setValueAtTime(level, end - fade);
+        gainNode.gain.linearRampToValueAtTime(0, end);
+        
+        source.start(when, offset, length);
+    }
+    
+    playWoodblock(isAccent, when, voice) {
+        const ctx = voice.destination.context;
+        
         // Simulate wood block with multiple frequencies
         const freqs = isAccent ? [800, 1200, 1600] : [600, 900, 1200];
         
         freqs.forEach((freq, i) => {
-            const osc = this.audioContext.createOscillator();
-            const gainNode = this.audioContext.createGain();
+            const osc = ctx.createOscillator();
+            const gainNode = ctx.createGain();
             
             osc.connect(gainNode);
-            gainNode.connect(this.audioContext.destination);
+            gainNode.connect(voice.destination);
             
-            osc.frequency.value = freq;
+            osc.frequency.value = freq * voice.pitch;
             osc.type = 'square';
             
-            const volume = isAccent ? 0.15 : 0.1;
-            gainNode.gain.setValueAtTime(volume / (i + 1), when);
+            const level = (isAccent ? 0.15 : 0.1) * voice.volume;
+            gainNode.gain.setValueAtTime(level / (i + 1), when);
             gainNode.gain.exponentialRampToValueAtTime(0.001, when + 0.03);
             
             osc.start(when);
@@ -152,41 +486,87 @@ class DynamicMetronome {
         });
     }
     
-    playSharpClick(isAccent, when) {
-        const osc = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
+    playSharpClick(isAccent, when, voice) {
+        const ctx = voice.destination.context;
+        const osc = ctx.createOscillator();
+        const gainNode = ctx.createGain();
         
         osc.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
+        gainNode.connect(voice.destination);
         
-        osc.frequency.value = isAccent ? 2000 : 1500;
+        osc.frequency.value = (isAccent ? 2000 : 1500) * voice.pitch;
         osc.type = 'square';
         
-        gainNode.gain.setValueAtTime(0.2, when);
+        gainNode.gain.setValueAtTime(0.2 * voice.volume, when);
         gainNode.gain.exponentialRampToValueAtTime(0.001, when + 0.01);
         
         osc.start(when);
         osc.stop(when + 0.01);
     }
     
-    playBeep(isAccent, when) {
-        const osc = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
+    playBeep(isAccent, when, voice) {
+        const ctx = voice.destination.context;
+        const osc = ctx.createOscillator();
+        const gainNode = ctx.createGain();
         
         osc.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
+        gainNode.connect(voice.destination);
         
-        osc.frequency.value = isAccent ? 1200 : 880;
+        osc.frequency.value = (isAccent ? 1200 : 880) * voice.pitch;
         osc.type = 'triangle';
         
         const duration = isAccent ? 0.08 : 0.06;
-        gainNode.gain.setValueAtTime(0.25, when);
+        gainNode.gain.setValueAtTime(0.25 * voice.volume, when);
         gainNode.gain.exponentialRampToValueAtTime(0.01, when + duration);
         
         osc.start(when);
         osc.stop(when + duration);
     }
     
+    // Offset of subdivision k (1..subdivision-1) as a fraction of the beat.
+    // Swing only applies to duple subdivisions: the second note of each pair is pushed later.
+    getSubdivisionOffset(k, subdivision, swing) {
+        if (this.isDupleSubdivision(subdivision) && k % 2 === 1) {
+            const pairLength = 2 / subdivision;
+            return (k - 1) / subdivision + pairLength * swing / 100;
+        }
+        return k / subdivision;
+    }
+    
+    isDupleSubdivision(subdivision) {
+        return subdivision % 2 === 0 && subdivision % 3 !== 0;
+    }
+    
+    scheduleSubdivisions(beatTime, beatInterval, subdivision, swing, output = null) {
+        for (let k = 1; k < subdivision; k++) {
+            const offset = this.getSubdivisionOffset(k, subdivision, swing);
+            this.playClick('subdivision', beatTime + offset * beatInterval, output);
+        }
+    }
+    
+    // Polyrhythm pulses that fall within `beat`, as { pulse, time } (pulse counts from 1).
+    // Pulse j of M sits j * N / M beats into a bar of N beats, so each one is placed
+    // inside its beat and follows the tempo of that beat through ramps and curves.
+    // Count-in and trainer-silenced beats have none.
+    getPolyPulses(beat, beatTime = beat.time) {
+        const { poly, beats } = beat.meter;
+        if (!poly || beat.isCountIn || beat.silenced) return [];
+        
+        const pulses = [];
+        const first = Math.ceil((beat.beatInBar - 1) * poly / beats);
+        for (let j = first; j * beats < beat.beatInBar * poly; j++) {
+            const offset = j * beats / poly - (beat.beatInBar - 1);
+            pulses.push({ pulse: j + 1, time: beatTime + offset * beat.duration });
+        }
+        return pulses;
+    }
+    
+    schedulePolyPulses(beat, beatTime, output = null) {
+        this.getPolyPulses(beat, beatTime).forEach(({ pulse, time }) => {
+            this.playClick(this.getPolyState(pulse, beat.meter), time, output, 'poly');
+        });
+    }
+    
     // Knob Class
     createKnob(canvasId, valueId, min, max, initial, onChange) {
         const canvas = document.getElementById(canvasId);
@@ -565,36 +945,534 @@ class DynamicMetronome {
         
         draw();
         
-        return { getValue: () => value, setValue: (v) => { value = v; draw(); } };
+        return {
+            getValue: () => value,
+            setValue: (v) => { value = v; draw(); },
+            // Same path as turning the knob by hand: clamps, redraws and fires onChange
+            change: (v) => {
+                value = Math.max(min, Math.min(max, Math.round(v)));
+                draw();
+                if (onChange) onChange(value);
+            }
+        };
     }
     
     initKnobs() {
+        const r = this.knobRanges;
         this.knobControls = {
-            beats: this.createKnob('beatsKnob', 'beatsValue', 1, 12, 4, (v) => {
+            beats: this.createKnob('beatsKnob', 'beatsValue', ...r.beats, this.knobs.beats, (v) => {
                 this.knobs.beats = v;
+                if (!this.isValidGrouping(this.knobs.grouping, v)) {
+                    this.knobs.grouping = '';
+                }
+                this.updateMeterControls();
                 this.updateBeatDisplay();
+                this.saveState();
             }),
-            bars: this.createKnob('barsKnob', 'barsValue', 1, 100, 1, (v) => {
+            bars: this.createKnob('barsKnob', 'barsValue', ...r.bars, this.knobs.bars, (v) => {
                 this.knobs.bars = v;
+                this.saveState();
             }),
-            startBpm: this.createKnob('startBpmKnob', 'startBpmValue', 1, 400, 120, (v) => {
+            startBpm: this.createKnob('startBpmKnob', 'startBpmValue', ...r.startBpm, this.knobs.startBpm, (v) => {
                 this.knobs.startBpm = v;
                 this.knobControls.endBpm.setValue(v);
                 this.knobs.endBpm = v;
                 this.endBpmManuallyChanged = false;
                 this.currentTempo = v;
                 this.updateModeIndicators();
+                this.saveState();
             }),
-            endBpm: this.createKnob('endBpmKnob', 'endBpmValue', 1, 400, 120, (v) => {
+            endBpm: this.createKnob('endBpmKnob', 'endBpmValue', ...r.endBpm, this.knobs.endBpm, (v) => {
                 this.knobs.endBpm = v;
                 this.endBpmManuallyChanged = true;
                 this.updateModeIndicators();
+                this.saveState();
             }),
-            increment: this.createKnob('incrementKnob', 'incrementValue', 0, 50, 0, (v) => {
+            increment: this.createKnob('incrementKnob', 'incrementValue', ...r.increment, this.knobs.increment, (v) => {
                 this.knobs.increment = v;
                 this.updateModeIndicators();
+                this.saveState();
+            }),
+            swing: this.createKnob('swingKnob', 'swingValue', ...r.swing, this.knobs.swing, (v) => {
+                this.knobs.swing = v;
+                this.updateBeatDisplay();
+                this.saveState();
             })
         };
+        
+        this.initSubdivisionControls();
+        this.initPolyControls();
+        this.initMeterControls();
+        this.initRampControls();
+        this.initRepeatControls();
+        this.initTrainerControls();
+    }
+    
+    initRampControls() {
+        const curveSelect = document.getElementById('curveSelect');
+        const exactEndSelect = document.getElementById('exactEndSelect');
+        const lengthUnitSelect = document.getElementById('lengthUnitSelect');
+        
+        RAMP_CURVES.forEach(curve => {
+            const option = document.createElement('option');
+            option.value = curve;
+            option.textContent = RAMP_CURVE_LABELS[curve].toUpperCase();
+            curveSelect.appendChild(option);
+        });
+        
+        curveSelect.addEventListener('change', () => {
+            this.knobs.curve = curveSelect.value;
+            this.updateRampControls();
+            this.updateModeIndicators();
+            this.saveState();
+        });
+        exactEndSelect.addEventListener('change', () => {
+            this.knobs.exactEnd = exactEndSelect.value === 'on';
+            this.saveState();
+        });
+        lengthUnitSelect.addEventListener('change', () => {
+            this.knobs.lengthUnit = lengthUnitSelect.value;
+            this.updateRampControls();
+            this.saveState();
+        });
+        
+        this.updateRampControls();
+    }
+    
+    updateRampControls() {
+        document.getElementById('curveSelect').value = this.knobs.curve;
+        
+        // Curved ramps always land on the end BPM
+        const exactEndSelect = document.getElementById('exactEndSelect');
+        exactEndSelect.value = this.knobs.exactEnd ? 'on' : 'off';
+        exactEndSelect.disabled = this.knobs.curve !== 'stepped';
+        
+        document.getElementById('lengthUnitSelect').value = this.knobs.lengthUnit;
+        const unit = this.knobs.lengthUnit.toUpperCase();
+        document.getElementById('barsLabel').textContent = this.knobs.curve === 'stepped' ? `${unit}/TEMPO` : `RAMP ${unit}`;
+    }
+    
+    // ==================================
+    // Repeats and segment looping
+    
+    initRepeatControls() {
+        const countSelect = document.getElementById('repeatCountSelect');
+        [1, 2, 3, 4, 5, 6, 8, 10, 15, 20, 0].forEach(count => {
+            const option = document.createElement('option');
+            option.value = count;
+            option.textContent = count === 0 ? '∞' : `${count}×`;
+            countSelect.appendChild(option);
+        });
+        countSelect.addEventListener('change', () => {
+            this.repeat.count = parseInt(countSelect.value);
+            this.updateRepeatControls();
+            this.updateSegmentsDisplay();
+            this.saveState();
+        });
+        
+        ['offset', 'cap'].forEach(key => {
+            const input = document.getElementById(`repeat${key === 'offset' ? 'Offset' : 'Cap'}Input`);
+            [input.min, input.max] = this.repeatRanges[key];
+            input.addEventListener('change', () => {
+                const [min, max] = this.repeatRanges[key];
+                const v = parseInt(input.value);
+                if (isNaN(v) || v < min || v > max) {
+                    alert(`${key === 'offset' ? 'BPM per loop' : 'BPM cap'} must be between ${min} and ${max}`);
+                    input.value = this.repeat[key];
+                    return;
+                }
+                this.repeat[key] = v;
+                this.updateSegmentsDisplay();
+                this.saveState();
+            });
+        });
+        
+        document.getElementById('loopSegmentButton').addEventListener('click', () => {
+            this.loopingSegment = !this.loopingSegment;
+            this.updateRepeatControls();
+        });
+        
+        this.updateRepeatControls();
+    }
+    
+    updateRepeatControls() {
+        document.getElementById('repeatCountSelect').value = this.repeat.count;
+        document.getElementById('repeatOffsetInput').value = this.repeat.offset;
+        document.getElementById('repeatCapInput').value = this.repeat.cap;
+        
+        // Offset and cap only matter when there is more than one pass
+        const repeats = this.repeat.count !== 1;
+        document.getElementById('repeatOffsetInput').disabled = !repeats;
+        document.getElementById('repeatCapInput').disabled = !repeats;
+        
+        const loopButton = document.getElementById('loopSegmentButton');
+        loopButton.textContent = `LOOP SEGMENT: ${this.loopingSegment ? 'ON' : 'OFF'}`;
+        loopButton.classList.toggle('active', this.loopingSegment);
+    }
+    
+    // "Loop 3/5" for the readyDisplay, or '' when the routine plays once
+    getLoopLabel(pass) {
+        if (this.repeat.count === 1) return '';
+        return `Loop ${pass + 1}/${this.repeat.count === 0 ? '∞' : this.repeat.count}`;
+    }
+    
+    // ==================================
+    // Trainer: gap click and random dropout
+    
+    initTrainerControls() {
+        const modeSelect = document.getElementById('trainerSelect');
+        TRAINER_MODES.forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = TRAINER_MODE_LABELS[mode].toUpperCase();
+            modeSelect.appendChild(option);
+        });
+        modeSelect.addEventListener('change', () => {
+            this.knobs.trainer = modeSelect.value;
+            this.updateTrainerControls();
+            this.saveState();
+        });
+        
+        Object.keys(this.trainerRanges).forEach(key => {
+            const input = document.getElementById(`${key}Input`);
+            [input.min, input.max] = this.trainerRanges[key];
+            input.addEventListener('change', () => {
+                const [min, max] = this.trainerRanges[key];
+                const v = parseInt(input.value);
+                if (isNaN(v) || v < min || v > max) {
+                    alert(`${input.dataset.label} must be between ${min} and ${max}`);
+                    input.value = this.knobs[key];
+                    return;
+                }
+                this.knobs[key] = v;
+                this.saveState();
+            });
+        });
+        
+        const hideSelect = document.getElementById('trainerHideSelect');
+        hideSelect.addEventListener('change', () => {
+            this.knobs.trainerHide = hideSelect.value === 'hide';
+            this.saveState();
+        });
+        
+        this.updateTrainerControls();
+    }
+    
+    updateTrainerControls() {
+        const mode = this.knobs.trainer;
+        document.getElementById('trainerSelect').value = mode;
+        Object.keys(this.trainerRanges).forEach(key => {
+            document.getElementById(`${key}Input`).value = this.knobs[key];
+        });
+        document.getElementById('trainerHideSelect').value = this.knobs.trainerHide ? 'hide' : 'show';
+        
+        // Only the settings of the chosen mode are shown
+        document.querySelectorAll('.trainer-gap').forEach(el => { el.hidden = mode !== 'gap'; });
+        document.querySelectorAll('.trainer-random').forEach(el => { el.hidden = mode !== 'random'; });
+        document.getElementById('trainerHideContainer').hidden = mode === 'off';
+    }
+    
+    // Counts the bars the trainer silenced completely, as they play
+    countTrainerBeat(beat) {
+        if (beat.isCountIn || beat.meter.trainer === 'off') return;
+        
+        if (beat.beatInBar === 1) {
+            this.barSilent = true;
+        }
+        this.barSilent = this.barSilent && beat.silenced;
+        if (beat.silenced) {
+            this.trainerStats.droppedBeats++;
+        }
+        if (beat.beatInBar === beat.meter.beats) {
+            this.trainerStats.bars++;
+            if (this.barSilent) this.trainerStats.silentBars++;
+            this.updateTrainerReport();
+        }
+    }
+    
+    updateTrainerReport() {
+        const { bars, silentBars, droppedBeats } = this.trainerStats;
+        document.getElementById('trainerReport').textContent = bars === 0 ? ''
+            : `Trainer: ${silentBars} of ${bars} bars silent, ${droppedBeats} beats dropped`;
+    }
+    
+    // ==================================
+    // Time signature: beat unit, BPM pulse and grouping
+    
+    initMeterControls() {
+        const unitSelect = document.getElementById('beatUnitSelect');
+        const pulseSelect = document.getElementById('pulseSelect');
+        const groupingSelect = document.getElementById('groupingSelect');
+        
+        BEAT_UNITS.forEach(unit => {
+            const option = document.createElement('option');
+            option.value = unit;
+            option.textContent = `/${unit}`;
+            unitSelect.appendChild(option);
+        });
+        Object.keys(PULSE_NOTES).forEach(pulse => {
+            const option = document.createElement('option');
+            option.value = pulse;
+            option.textContent = PULSE_LABELS[pulse].toUpperCase();
+            pulseSelect.appendChild(option);
+        });
+        
+        unitSelect.addEventListener('change', () => {
+            this.knobs.beatUnit = parseInt(unitSelect.value);
+            this.saveState();
+        });
+        pulseSelect.addEventListener('change', () => {
+            this.knobs.pulse = pulseSelect.value;
+            this.saveState();
+        });
+        groupingSelect.addEventListener('change', () => {
+            let grouping = groupingSelect.value;
+            if (grouping === 'custom') {
+                const input = prompt(`Beat grouping adding up to ${this.knobs.beats} (e.g. 2+2+3):`, this.knobs.grouping);
+                grouping = input === null ? this.knobs.grouping : input.replace(/\s+/g, '');
+                if (!this.isValidGrouping(grouping, this.knobs.beats)) {
+                    alert(`Grouping must be numbers joined by "+" that add up to ${this.knobs.beats}.`);
+                    grouping = this.knobs.grouping;
+                }
+            }
+            this.setGrouping(grouping);
+        });
+        
+        this.updateMeterControls();
+    }
+    
+    updateMeterControls() {
+        document.getElementById('beatUnitSelect').value = this.knobs.beatUnit;
+        document.getElementById('pulseSelect').value = this.knobs.pulse;
+        
+        const groupingSelect = document.getElementById('groupingSelect');
+        groupingSelect.innerHTML = '';
+        const options = [''].concat(this.getGroupingOptions(this.knobs.beats));
+        if (!options.includes(this.knobs.grouping)) {
+            options.push(this.knobs.grouping);
+        }
+        options.push('custom');
+        options.forEach(grouping => {
+            const option = document.createElement('option');
+            option.value = grouping;
+            option.textContent = grouping === '' ? 'NONE' : grouping === 'custom' ? 'CUSTOM' : grouping;
+            groupingSelect.appendChild(option);
+        });
+        groupingSelect.value = this.knobs.grouping;
+    }
+    
+    // Picking a grouping accents the first beat of every group
+    setGrouping(grouping) {
+        this.knobs.grouping = grouping;
+        if (grouping !== '') {
+            this.beatStates = new Map(this.getGroupStarts(grouping).map(beat => [beat, 'accent']));
+        }
+        this.updateMeterControls();
+        this.updateBeatDisplay();
+        this.saveState();
+    }
+    
+    parseGrouping(grouping) {
+        if (typeof grouping !== 'string' || !/^\d+(\+\d+)+$/.test(grouping)) return null;
+        const groups = grouping.split('+').map(n => parseInt(n));
+        return groups.every(n => n > 0) ? groups : null;
+    }
+    
+    isValidGrouping(grouping, beats) {
+        if (grouping === '') return true;
+        const groups = this.parseGrouping(grouping);
+        return groups !== null && groups.reduce((sum, n) => sum + n, 0) === beats;
+    }
+    
+    // First beat number of every group, e.g. '2+2+3' -> [1, 3, 5]
+    getGroupStarts(grouping) {
+        const starts = [];
+        let beat = 1;
+        (this.parseGrouping(grouping) || []).forEach(size => {
+            starts.push(beat);
+            beat += size;
+        });
+        return starts;
+    }
+    
+    // Groupings of 2s and 3s that fill the bar, fewest groups first
+    getGroupingOptions(beats) {
+        const results = [];
+        const build = (remaining, parts) => {
+            if (remaining === 0) {
+                if (parts.length > 1) results.push(parts.join('+'));
+                return;
+            }
+            [3, 2].forEach(size => {
+                if (size <= remaining) build(remaining - size, parts.concat(size));
+            });
+        };
+        if (beats <= 16) build(beats, []);
+        
+        results.sort((a, b) => a.split('+').length - b.split('+').length);
+        return results.slice(0, 12);
+    }
+    
+    getSignatureLabel(meter) {
+        let label = `${meter.beats}/${meter.beatUnit}`;
+        if (meter.grouping) {
+            label += ` (${meter.grouping})`;
+        }
+        return label;
+    }
+    
+    // Segment drawn on the beat canvas: the playing one in Complex Ramp, else the selected one
+    getDisplayedSegment() {
+        if (this.currentSegment) return this.currentSegment;
+        return this.tempoSegments[this.selectedSegmentIndex] || null;
+    }
+    
+    // Meter drawn on the beat canvas: the displayed segment's, otherwise the knobs
+    getMeter() {
+        return this.getDisplayedSegment() || this.knobs;
+    }
+    
+    // Segments carry their own accent pattern; without one the global beatStates apply
+    getBeatState(beatNum, segment = null) {
+        return lookupBeatState(this.beatStates, beatNum, segment);
+    }
+    
+    setBeatState(beatNum, state, segment = null) {
+        if (!segment) {
+            if (state === 'normal') {
+                this.beatStates.delete(beatNum); // Remove from map = normal
+            } else {
+                this.beatStates.set(beatNum, state);
+            }
+            return;
+        }
+        
+        const accents = segment.accents.filter(([beat]) => beat !== beatNum);
+        if (state !== 'normal') {
+            accents.push([beatNum, state]);
+            accents.sort((a, b) => a[0] - b[0]);
+        }
+        segment.accents = accents;
+    }
+    
+    // X position of every beat dot; groups are separated by an extra half-beat gap
+    getBeatLayout(meter) {
+        const groups = this.parseGrouping(meter.grouping) || [meter.beats];
+        const gap = groups.length > 1 ? 0.5 : 0;
+        const spacing = 400 / (meter.beats + 1 + gap * (groups.length - 1));
+        
+        const positions = [];
+        let x = spacing;
+        groups.forEach(size => {
+            for (let i = 0; i < size; i++) {
+                positions.push(x);
+                x += spacing;
+            }
+            x += gap * spacing;
+        });
+        
+        return { positions, spacing, groups };
+    }
+    
+    // X of a point `position` beats into the bar, e.g. 1.5 = halfway through beat 2
+    getBarX(position, { positions, spacing }) {
+        const beat = Math.min(Math.floor(position), positions.length - 1);
+        return positions[beat] + (position - beat) * spacing;
+    }
+    
+    // X position of every polyrhythm pulse dot, placed against the beat dots above
+    getPolyLayout(meter, beatLayout = this.getBeatLayout(meter)) {
+        const positions = [];
+        for (let j = 0; j < meter.poly; j++) {
+            positions.push(this.getBarX(j * meter.beats / meter.poly, beatLayout));
+        }
+        const spacing = beatLayout.spacing * meter.beats / meter.poly;
+        return { positions, spacing };
+    }
+    
+    initSubdivisionControls() {
+        const select = document.getElementById('subdivisionSelect');
+        const custom = document.getElementById('subdivisionCustom');
+        custom.min = 2;
+        custom.max = this.knobRanges.subdivision[1];
+        
+        const setSubdivision = (v) => {
+            this.knobs.subdivision = v;
+            this.updateBeatDisplay();
+            this.saveState();
+        };
+        
+        select.addEventListener('change', () => {
+            if (select.value === 'custom') {
+                custom.hidden = false;
+                custom.value = this.knobs.subdivision > 1 ? this.knobs.subdivision : 7;
+                custom.focus();
+                setSubdivision(parseInt(custom.value));
+            } else {
+                custom.hidden = true;
+                setSubdivision(parseInt(select.value));
+            }
+        });
+        
+        custom.addEventListener('change', () => {
+            const [, max] = this.knobRanges.subdivision;
+            const v = parseInt(custom.value);
+            if (isNaN(v) || v < 2 || v > max) {
+                alert(`Custom subdivision must be between 2 and ${max}`);
+                custom.value = this.knobs.subdivision;
+                return;
+            }
+            setSubdivision(v);
+        });
+        
+        this.updateSubdivisionControls();
+    }
+    
+    updateSubdivisionControls() {
+        const select = document.getElementById('subdivisionSelect');
+        const custom = document.getElementById('subdivisionCustom');
+        const isPreset = [...select.options].some(opt => opt.value === String(this.knobs.subdivision));
+        
+        select.value = isPreset ? String(this.knobs.subdivision) : 'custom';
+        custom.hidden = isPreset;
+        custom.value = this.knobs.subdivision;
+    }
+    
+    initPolyControls() {
+        const select = document.getElementById('polySelect');
+        const [, max] = this.knobRanges.poly;
+        for (let pulses = 0; pulses <= max; pulses++) {
+            const option = document.createElement('option');
+            option.value = pulses;
+            option.textContent = pulses === 0 ? 'OFF' : pulses;
+            select.appendChild(option);
+        }
+        select.addEventListener('change', () => {
+            this.knobs.poly = parseInt(select.value);
+            this.updateBeatDisplay();
+            this.saveState();
+        });
+        
+        this.updatePolyControls();
+    }
+    
+    updatePolyControls() {
+        document.getElementById('polySelect').value = this.knobs.poly;
+    }
+    
+    // Polyrhythm pulses keep their states in the meter they belong to (a segment or the knobs)
+    getPolyState(pulse, meter) {
+        const entry = meter.polyAccents.find(([p]) => p === pulse);
+        return entry ? entry[1] : 'normal';
+    }
+    
+    setPolyState(pulse, state, meter) {
+        const accents = meter.polyAccents.filter(([p]) => p !== pulse);
+        if (state !== 'normal') {
+            accents.push([pulse, state]);
+            accents.sort((a, b) => a[0] - b[0]);
+        }
+        meter.polyAccents = accents;
     }
     
     initBeatCanvas() {
@@ -615,87 +1493,191 @@ class DynamicMetronome {
     }
     
     handleBeatClick(e) {
-        const beatsPerBar = this.currentBeatsPerBar || this.knobs.beats;
-        const spacing = 400 / (beatsPerBar + 1);
+        const segment = this.getDisplayedSegment();
+        const meter = this.getMeter();
+        const { positions, spacing } = this.getBeatLayout(meter);
+        const tapRadius = Math.min(25, spacing / 2);
+        
+        // The polyrhythm row sits below the beats and cycles its pulses the same way
+        if (meter.poly > 0 && e.offsetY > 80) {
+            const poly = this.getPolyLayout(meter);
+            const polyRadius = Math.min(20, poly.spacing / 2);
+            const idx = poly.positions.findIndex(x => Math.abs(e.offsetX - x) <= polyRadius);
+            if (idx !== -1) {
+                const pulse = idx + 1;
+                const state = this.getPolyState(pulse, meter);
+                this.setPolyState(pulse, BEAT_STATES[(BEAT_STATES.indexOf(state) + 1) % BEAT_STATES.length], meter);
+                this.updateBeatDisplay();
+                this.saveState();
+            }
+            return;
+        }
         
-        for (let i = 0; i < beatsPerBar; i++) {
-            const x = spacing * (i + 1);
+        for (let i = 0; i < positions.length; i++) {
+            const x = positions[i];
             const dx = e.offsetX - x;
             const dy = e.offsetY - 40;
             const distance = Math.sqrt(dx * dx + dy * dy);
             
-            // Increased tap radius from 12 to 25 pixels for easier tapping
-            if (distance <= 25) {
+            // Increased tap radius from 12 to 25 pixels for easier tapping (less when many beats share the bar)
+            if (distance <= tapRadius) {
                 const beatNum = i + 1;
-                const currentState = this.beatStates.get(beatNum) || 'normal';
+                const currentState = this.getBeatState(beatNum, segment);
                 
                 // Cycle through states: normal → accent → muted → normal
                 if (currentState === 'normal') {
-                    this.beatStates.set(beatNum, 'accent');
+                    this.setBeatState(beatNum, 'accent', segment);
                 } else if (currentState === 'accent') {
-                    this.beatStates.set(beatNum, 'muted');
+                    this.setBeatState(beatNum, 'muted', segment);
                 } else {
-                    this.beatStates.delete(beatNum); // Remove from map = normal
+                    this.setBeatState(beatNum, 'normal', segment);
                 }
                 
                 // Update display immediately
                 this.updateBeatDisplay();
+                this.saveState();
                 break;
             }
         }
     }
     
-    updateBeatDisplay(activeBeat = null) {
+    // `activePulse` lights a polyrhythm pulse as well; with the lane on, a playhead
+    // runs through both rows at whichever of the two was last to sound
+    updateBeatDisplay(activeBeat = null, activePulse = null) {
         const canvas = document.getElementById('beatCanvas');
         const ctx = canvas.getContext('2d');
+        const segment = this.getDisplayedSegment();
+        const meter = this.getMeter();
+        const height = meter.poly > 0 ? 120 : 80; // Room for the polyrhythm row
+        if (canvas.height !== height) {
+            canvas.height = height;
+        }
         ctx.clearRect(0, 0, canvas.width, canvas.height);
         
-        const beatsPerBar = this.currentBeatsPerBar || this.knobs.beats;
-        const spacing = 400 / (beatsPerBar + 1);
-        const dotRadius = 12;
+        const { subdivision, swing } = meter;
+        const beatLayout = this.getBeatLayout(meter);
+        const { positions, spacing, groups } = beatLayout;
+        const groupStarts = this.getGroupStarts(meter.grouping);
+        const dotRadius = Math.min(12, spacing * 0.4);
         const y = 40;
         
-        for (let i = 0; i < beatsPerBar; i++) {
-            const x = spacing * (i + 1);
+        // Subdivision ticks between the beat dots
+        ctx.strokeStyle = '#666666';
+        ctx.lineWidth = 2;
+        positions.forEach(beatX => {
+            for (let k = 1; k < subdivision; k++) {
+                const x = beatX + spacing * this.getSubdivisionOffset(k, subdivision, swing);
+                ctx.beginPath();
+                ctx.moveTo(x, y - 5);
+                ctx.lineTo(x, y + 5);
+                ctx.stroke();
+            }
+        });
+        
+        // Bracket under every beat group
+        if (groups.length > 1) {
+            ctx.strokeStyle = '#FFD700';
+            ctx.lineWidth = 2;
+            let first = 0;
+            groups.forEach(size => {
+                const y2 = y + dotRadius + 6;
+                ctx.beginPath();
+                ctx.moveTo(positions[first] - dotRadius, y2);
+                ctx.lineTo(positions[first + size - 1] + dotRadius, y2);
+                ctx.stroke();
+                first += size;
+            });
+        }
+        
+        // Playhead shared by both rows
+        if (meter.poly > 0 && activeBeat !== null) {
+            const pulseAt = activePulse !== null ? activePulse * meter.beats / meter.poly : -1;
+            const x = this.getBarX(Math.max(activeBeat, pulseAt), beatLayout);
+            ctx.strokeStyle = '#00AA00';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x, 10);
+            ctx.lineTo(x, height - 8);
+            ctx.stroke();
+        }
+        
+        for (let i = 0; i < positions.length; i++) {
+            const x = positions[i];
             const beatNum = i + 1;
-            const beatState = this.beatStates.get(beatNum) || 'normal';
+            this.drawBeatDot(ctx, x, y, dotRadius, this.getBeatState(beatNum, segment), activeBeat !== null && i === activeBeat);
             
-            let color, outline, outlineWidth;
-            if (activeBeat !== null && i === activeBeat) {
-                // Currently playing beat - bright green
-                color = '#00FF00';
-                outline = '#00AA00';
-                outlineWidth = 3;
-            } else if (beatState === 'accent') {
-                // Accent beat - darker with gold outline
-                color = '#4C4C4C';
-                outline = '#FFD700';
-                outlineWidth = 3;
-            } else if (beatState === 'muted') {
-                // Muted beat - very dark, almost invisible
-                color = '#1C1C1C';
-                outline = '#2C2C2C';
-                outlineWidth = 2;
-            } else {
-                // Normal beat - light grey
-                color = '#3C3C3C';
-                outline = '#666666';
-                outlineWidth = 2;
+            // Crowded bars only number the group starts (or every 4th beat)
+            const showNumber = spacing >= 16 ||
+                (groupStarts.length > 0 ? groupStarts.includes(beatNum) : i % 4 === 0);
+            if (showNumber) {
+                ctx.fillStyle = '#999999';
+                ctx.font = 'bold 10px Helvetica';
+                ctx.textAlign = 'center';
+                ctx.fillText(beatNum, x, y + 30);
             }
-            
-            ctx.fillStyle = color;
-            ctx.strokeStyle = outline;
-            ctx.lineWidth = outlineWidth;
+        }
+        
+        // Timing marks from the analysis: a line from the dot to where the note landed,
+        // left when early, right when late (green when within the tolerance)
+        this.timingMarks.forEach(({ offset, fraction }, beatNum) => {
+            if (beatNum > positions.length) return;
+            const x = positions[beatNum - 1];
+            const markX = x + Math.max(-0.5, Math.min(0.5, fraction)) * spacing;
+            const markY = y - dotRadius - 6;
+            ctx.strokeStyle = Math.abs(offset) <= ONSET_TOLERANCE ? '#00FF00' : offset < 0 ? '#00BFFF' : '#FF6347';
+            ctx.lineWidth = 2;
             ctx.beginPath();
-            ctx.arc(x, y, dotRadius, 0, Math.PI * 2);
-            ctx.fill();
+            ctx.moveTo(x, markY);
+            ctx.lineTo(markX, markY);
+            ctx.moveTo(markX, markY - 4);
+            ctx.lineTo(markX, markY + 4);
             ctx.stroke();
-            
+        });
+        
+        if (meter.poly > 0) {
+            const poly = this.getPolyLayout(meter, beatLayout);
+            const polyRadius = Math.min(9, poly.spacing * 0.35);
+            poly.positions.forEach((x, j) => {
+                this.drawBeatDot(ctx, x, 100, polyRadius, this.getPolyState(j + 1, meter), j === activePulse);
+            });
             ctx.fillStyle = '#999999';
             ctx.font = 'bold 10px Helvetica';
-            ctx.textAlign = 'center';
-            ctx.fillText(beatNum, x, y + 30);
+            ctx.textAlign = 'left';
+            ctx.fillText(`${meter.poly}:${meter.beats}`, 4, 84);
+        }
+    }
+    
+    drawBeatDot(ctx, x, y, radius, state, active) {
+        let color, outline, outlineWidth;
+        if (active) {
+            // Currently playing beat - bright green
+            color = '#00FF00';
+            outline = '#00AA00';
+            outlineWidth = 3;
+        } else if (state === 'accent') {
+            // Accent beat - darker with gold outline
+            color = '#4C4C4C';
+            outline = '#FFD700';
+            outlineWidth = 3;
+        } else if (state === 'muted') {
+            // Muted beat - very dark, almost invisible
+            color = '#1C1C1C';
+            outline = '#2C2C2C';
+            outlineWidth = 2;
+        } else {
+            // Normal beat - light grey
+            color = '#3C3C3C';
+            outline = '#666666';
+            outlineWidth = 2;
         }
+        
+        ctx.fillStyle = color;
+        ctx.strokeStyle = outline;
+        ctx.lineWidth = outlineWidth;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
     }
     
     updateModeIndicators() {
@@ -709,7 +1691,7 @@ class DynamicMetronome {
         
         if (this.tempoSegments.length > 0) {
             complexLed.classList.add('active');
-        } else if (this.knobs.startBpm !== this.knobs.endBpm && this.knobs.increment !== 0) {
+        } else if (this.knobs.startBpm !== this.knobs.endBpm && !this.needsIncrement(this.knobs.increment, this.knobs.curve)) {
             simpleLed.classList.add('active');
         } else {
             normalLed.classList.add('active');
@@ -721,6 +1703,72 @@ class DynamicMetronome {
         document.getElementById('saveButton').addEventListener('click', () => this.saveSegment());
         document.getElementById('removeButton').addEventListener('click', () => this.removeLastSegment());
         document.getElementById('clearButton').addEventListener('click', () => this.clearSegments());
+        document.getElementById('editSegmentButton').addEventListener('click', () => this.editSegment());
+        document.getElementById('cancelEditButton').addEventListener('click', () => this.cancelSegmentEdit());
+        document.getElementById('insertBeforeButton').addEventListener('click', () => this.insertSegment(0));
+        document.getElementById('insertAfterButton').addEventListener('click', () => this.insertSegment(1));
+        document.getElementById('duplicateSegmentButton').addEventListener('click', () => this.duplicateSegment());
+        document.getElementById('deleteSegmentButton').addEventListener('click', () => this.deleteSegment());
+        document.getElementById('moveUpButton').addEventListener('click', () => this.moveSelectedSegment(-1));
+        document.getElementById('moveDownButton').addEventListener('click', () => this.moveSelectedSegment(1));
+        document.getElementById('exportButton').addEventListener('click', () => this.exportRoutine());
+        document.getElementById('importButton').addEventListener('click', () => {
+            document.getElementById('importFileInput').click();
+        });
+        document.getElementById('copyLinkButton').addEventListener('click', () => this.copyShareLink());
+        window.addEventListener('hashchange', () => {
+            if (this.readSharedLink()) {
+                this.refreshControls();
+                this.updateRoutineSelect();
+            }
+        });
+        document.getElementById('importFileInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Allow importing the same file twice
+            if (file) this.importRoutine(file);
+        });
+    }
+    
+    initTapTempo() {
+        const button = document.getElementById('tapButton');
+        button.addEventListener('mousedown', () => this.tap());
+        button.addEventListener('touchstart', (e) => {
+            e.preventDefault(); // Avoid the delayed mousedown, which would count twice
+            this.tap();
+        }, { passive: false });
+        
+        document.addEventListener('keydown', (e) => {
+            if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+            if (e.target.closest('input, select, textarea')) return;
+            if (e.key.toLowerCase() === this.tapKey) {
+                this.tap();
+            }
+        });
+    }
+    
+    tap() {
+        const now = performance.now();
+        const last = this.tapTimes[this.tapTimes.length - 1];
+        if (last !== undefined && now - last > this.tapTimeout) {
+            this.tapTimes = [];
+        }
+        
+        this.tapTimes.push(now);
+        if (this.tapTimes.length > this.maxTaps) {
+            this.tapTimes.shift();
+        }
+        
+        const button = document.getElementById('tapButton');
+        button.classList.add('tapped');
+        setTimeout(() => button.classList.remove('tapped'), 100);
+        
+        // Null before the second tap; Infinity if two taps share a time stamp
+        const bpm = computeTapTempo(this.tapTimes);
+        if (Number.isFinite(bpm)) {
+            // Through the knob so End BPM syncing and the mode LEDs follow, and
+            // Normal mode picks up the new tempo on its next beat
+            this.knobControls.startBpm.change(bpm);
+        }
     }
     
     toggleMetronome() {
@@ -731,7 +1779,11 @@ class DynamicMetronome {
         }
     }
     
-    async start() {
+    // `sync` ({ beat, timeStamp }) starts in line with an incoming MIDI clock instead:
+    // on beat `beat` of the master at `timeStamp` (see followMidiClock())
+    async start(sync = null) {
+        // The calibration clicks are already queued on the audio clock - the beats would land among them
+        if (this.calibration) return;
         if (!this.audioContext) {
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
         }
@@ -740,13 +1792,14 @@ class DynamicMetronome {
         if (this.audioContext.state === 'suspended') {
             await this.audioContext.resume();
         }
+        this.applyLatency(); // The browser only knows its output latency once audio runs
         
         const startBpm = this.knobs.startBpm;
         const endBpm = this.knobs.endBpm;
         const increment = this.knobs.increment;
         
         // Validate
-        if (this.tempoSegments.length === 0 && startBpm !== endBpm && increment === 0) {
+        if (!sync && this.tempoSegments.length === 0 && startBpm !== endBpm && this.needsIncrement(increment, this.knobs.curve)) {
             alert('BPM Increment Required\n\nStart and End BPM parameters are different.\n\nEither:\n• Set a BPM increment to use tempo ramp mode, or\n• Set Start and End BPM to the same value to use normal metronome mode');
             return;
         }
@@ -760,345 +1813,404 @@ class DynamicMetronome {
         document.getElementById('startStopButton').classList.add('running');
         
         // Set beats per bar for complex mode
-        if (this.tempoSegments.length > 0) {
-            this.currentBeatsPerBar = this.tempoSegments[0].beats;
+        if (!sync && this.tempoSegments.length > 0) {
+            this.selectedSegmentIndex = -1;
+            this.currentSegment = this.tempoSegments[0];
             this.updateBeatDisplay();
         } else {
-            this.currentBeatsPerBar = null;
+            this.currentSegment = null;
         }
         
         // Calculate and display total time
-        this.totalTime = this.calculateTotalTime();
+        this.totalTime = sync ? 0 : calculateTotalTime(this.getRoutine());
         if (this.totalTime > 0) {
             document.getElementById('timerDisplay').textContent = this.formatTime(this.totalTime);
         } else {
             document.getElementById('timerDisplay').textContent = '∞';
         }
         
-        this.sessionStartTime = Date.now();
-        this.runMetronome();
+        this.sessionStartTime = this.audioContext.currentTime;
+        this.midiStartPending = true;
+        this.requestWakeLock();
+        this.runMetronome(sync);
+        this.updateTransport();
+        this.beginSession();
+        this.beginAnalysis();
     }
     
     stop() {
+        this.endSession(false);
+        this.endAnalysis();
         this.isRunning = false;
+        this.isPaused = false;
+        this.lastBeat = null;
+        this.stageBeat = null;
+        this.midiSync = null;
+        this.stopMidiClock();
+        this.releaseWakeLock();
+        if ('mediaSession' in navigator) {
+            navigator.mediaSession.playbackState = 'none';
+        }
         document.getElementById('startStopButton').textContent = 'START';
         document.getElementById('startStopButton').classList.remove('running');
+        this.updateTransport();
         document.getElementById('readyDisplay').textContent = 'Ready';
         document.getElementById('timerDisplay').textContent = '00:00';
-        this.currentBeatsPerBar = null;
+        this.currentSegment = null;
         this.updateBeatDisplay();
         this.currentSegmentIndex = -1;
         this.updateSegmentsDisplay();
         
         // Clear all timers
+        this.engine.stop();
+        this.runMode = null;
         if (this.timerInterval) {
             clearInterval(this.timerInterval);
             this.timerInterval = null;
         }
-        if (this.schedulerTimer) {
-            clearTimeout(this.schedulerTimer);
-            this.schedulerTimer = null;
-        }
-        if (this.visualUpdateInterval) {
-            clearInterval(this.visualUpdateInterval);
-            this.visualUpdateInterval = null;
-        }
     }
     
-    async runMetronome() {
-        const startBpm = this.knobs.startBpm;
-        const endBpm = this.knobs.endBpm;
-        const beatsPerBar = this.knobs.beats;
+    runMetronome(sync = null) {
+        if (sync) {
+            this.runMode = 'normal'; // The master sets the tempo, so there is no ramp to play
+        } else if (this.tempoSegments.length > 0) {
+            this.runMode = 'complex';
+        } else {
+            this.runMode = this.knobs.startBpm === this.knobs.endBpm ? 'normal' : 'ramp';
+        }
         
-        let segments, normalMode, complexMode;
+        let startTime = sync ? this.midiTimeToAudioTime(sync.timeStamp) : this.audioContext.currentTime;
         
-        if (this.tempoSegments.length > 0) {
-            segments = this.tempoSegments;
-            normalMode = false;
-            complexMode = true;
-        } else {
-            if (startBpm === endBpm) {
-                normalMode = true;
-                complexMode = false;
-                segments = [{
-                    start: startBpm,
-                    end: startBpm,
-                    bars: 1,
-                    beats: beatsPerBar,
-                    increment: 1
-                }];
-            } else {
-                normalMode = false;
-                complexMode = false;
-                segments = [{
-                    start: startBpm,
-                    end: endBpm,
-                    bars: this.knobs.bars,
-                    beats: beatsPerBar,
-                    increment: this.knobs.increment
-                }];
-            }
-        }
-        
-        this.nextBeatTime = this.audioContext.currentTime;
-        let globalBeatCount = 0;
-        let lastBpmUpdate = 0;
-        
-        // Countdown for ramp modes
-        if (!normalMode) {
-            const countdownBpm = segments[0].start;
-            const countdownBeats = segments[0].beats;
-            const beatInterval = 60.0 / countdownBpm;
-            
-            lastBpmUpdate = 0;
-            
-            // Show GET READY
+        // Ramp modes: GET READY, a count-in bar, and the countdown timer
+        if (this.runMode !== 'normal') {
             document.getElementById('readyDisplay').textContent = 'GET READY!';
-            await this.sleep(1000);
+            startTime += this.preRollTime;
             
-            this.nextBeatTime = this.audioContext.currentTime;
-            
-            // Countdown bar with look-ahead scheduling
-            for (let beatNum = 0; beatNum < countdownBeats; beatNum++) {
-                if (!this.isRunning) return;
-                
-                const beatInBar = beatNum + 1;
-                const countdownNumber = -(countdownBeats - beatNum);
-                
-                // Schedule audio in advance
-                const beatState = this.beatStates.get(beatInBar) || 'normal';
-                this.playClick(beatState, this.nextBeatTime);
-                
-                // Calculate when to update the display
-                const currentTime = this.audioContext.currentTime;
-                const timeUntilBeat = Math.max(0, (this.nextBeatTime - currentTime) * 1000);
-                
-                // Schedule visual update to sync with audio
-                await new Promise(resolve => {
-                    setTimeout(() => {
-                        if (this.isRunning) {
-                            document.getElementById('readyDisplay').textContent = countdownNumber;
-                            this.updateBeatDisplay(beatNum);
-                        }
-                        resolve();
-                    }, timeUntilBeat);
-                });
-                
-                if (!this.isRunning) return;
-                
-                this.nextBeatTime += beatInterval;
-            }
+            this.timerInterval = setInterval(() => this.updateTimerDisplay(), 500);
         }
         
-        // Start timer for ramp modes
-        if (!normalMode) {
-            this.timerInterval = setInterval(() => {
-                if (!this.isRunning) return;
-                const elapsed = (Date.now() - this.sessionStartTime) / 1000;
-                const remaining = Math.max(0, this.totalTime - elapsed);
-                document.getElementById('timerDisplay').textContent = this.formatTime(remaining);
-            }, 500);
+        if ('mediaSession' in navigator) {
+            navigator.mediaSession.playbackState = 'playing';
+        }
+        this.currentPass = 0;
+        this.lastBeat = null;
+        this.trainerStats = { bars: 0, silentBars: 0, droppedBeats: 0 };
+        this.updateTrainerReport();
+        this.midiSync = sync ? { beats: sync.beat } : null;
+        this.engine.start(this.getLiveBeats(sync ? { beat: sync.beat } : {}), startTime);
+    }
+    
+    // Counts down on the audio clock, so a throttled interval can't make it drift
+    updateTimerDisplay() {
+        if (!this.isRunning || this.isPaused || this.runMode === 'normal' || this.totalTime === 0) return;
+        const elapsed = this.audioContext.currentTime - this.sessionStartTime;
+        const remaining = Math.max(0, this.totalTime - elapsed);
+        document.getElementById('timerDisplay').textContent = this.formatTime(remaining);
+    }
+    
+    // ==================================
+    // Transport: pause, resume and jumps
+    
+    initTransport() {
+        const saved = this.readStorage(this.playbackStorageKey);
+        if (saved) {
+            this.playbackSettings = { ...this.playbackSettings, ...saved };
         }
         
-        // Process segments
-        for (let segmentIdx = 0; segmentIdx < segments.length; segmentIdx++) {
-            if (!this.isRunning) break;
-            
-            const segment = segments[segmentIdx];
-            
-            if (complexMode) {
-                this.currentSegmentIndex = segmentIdx + 1;
-                this.updateSegmentsDisplay(this.currentSegmentIndex);
-            }
-            
-            const startBpmSeg = segment.start;
-            const endBpmSeg = segment.end;
-            const increment = segment.increment;
-            let beatsPerBarSeg = segment.beats;
-            const barsPerTempo = segment.bars;
-            
-            // Update beat display if beats changed
-            if (complexMode) {
-                if (this.currentBeatsPerBar !== beatsPerBarSeg) {
-                    this.currentBeatsPerBar = beatsPerBarSeg;
-                    this.updateBeatDisplay();
-                } else {
-                    this.currentBeatsPerBar = beatsPerBarSeg;
-                }
-            }
-            
-            // Build tempo list
-            let tempoList = [];
-            if (normalMode) {
-                tempoList = [startBpmSeg];
-            } else {
-                if (startBpmSeg === endBpmSeg) {
-                    tempoList = [startBpmSeg];
-                } else if (startBpmSeg < endBpmSeg) {
-                    let current = startBpmSeg;
-                    while (current <= endBpmSeg) {
-                        tempoList.push(current);
-                        current += increment;
-                    }
-                } else {
-                    let current = startBpmSeg;
-                    while (current >= endBpmSeg) {
-                        tempoList.push(current);
-                        current -= increment;
-                    }
-                }
-            }
-            
-            // Play through tempos
-            let tempoIndex = 0;
-            while (this.isRunning) {
-                let tempo;
-                if (normalMode) {
-                    tempo = this.currentTempo;
-                    beatsPerBarSeg = this.knobs.beats;
-                } else {
-                    if (tempoIndex >= tempoList.length) break;
-                    tempo = tempoList[tempoIndex];
-                    tempoIndex++;
-                }
-                
-                // Update display for normal mode
-                if (normalMode && tempo !== lastBpmUpdate) {
-                    lastBpmUpdate = tempo;
-                    document.getElementById('readyDisplay').textContent = `${tempo} BPM`;
-                }
-                
-                const beatInterval = 60.0 / tempo;
-                const totalBeats = normalMode ? beatsPerBarSeg : (barsPerTempo * beatsPerBarSeg);
-                
-                // Play beats with look-ahead scheduling
-                for (let beatNum = 0; beatNum < totalBeats; beatNum++) {
-                    if (!this.isRunning) break;
-                    
-                    if (normalMode) {
-                        tempo = this.currentTempo;
-                        beatsPerBarSeg = this.knobs.beats;
-                        if (tempo !== lastBpmUpdate) {
-                            lastBpmUpdate = tempo;
-                            document.getElementById('readyDisplay').textContent = `${tempo} BPM`;
-                        }
-                    }
-                    
-                    const beatInBar = (beatNum % beatsPerBarSeg) + 1;
-                    
-                    // Schedule audio in advance (this is the key fix!)
-                    const beatState = this.beatStates.get(beatInBar) || 'normal';
-                    this.playClick(beatState, this.nextBeatTime);
-                    
-                    // Update BPM display on beat 1 for ramp modes
-                    if (!normalMode && beatInBar === 1 && tempo !== lastBpmUpdate) {
-                        lastBpmUpdate = tempo;
-                        document.getElementById('readyDisplay').textContent = `${tempo} BPM`;
-                    }
-                    
-                    // Calculate when to update the visual display (just before the beat plays)
-                    const currentTime = this.audioContext.currentTime;
-                    const timeUntilBeat = Math.max(0, (this.nextBeatTime - currentTime) * 1000);
-                    
-                    // Schedule visual update to happen right when the beat plays
-                    await new Promise(resolve => {
-                        setTimeout(() => {
-                            if (this.isRunning) {
-                                this.updateBeatDisplay(beatInBar - 1);
-                            }
-                            resolve();
-                        }, timeUntilBeat);
-                    });
-                    
-                    if (!this.isRunning) break;
-                    
-                    this.nextBeatTime += 60.0 / tempo;
-                    globalBeatCount++;
-                }
-                
-                if (normalMode) continue;
-            }
+        document.getElementById('pauseButton').addEventListener('click', () => this.togglePause());
+        document.getElementById('prevSegmentButton').addEventListener('click', () => this.skipSegment(-1));
+        document.getElementById('restartStepButton').addEventListener('click', () => this.restartStep());
+        document.getElementById('nextSegmentButton').addEventListener('click', () => this.skipSegment(1));
+        
+        const countInSelect = document.getElementById('resumeCountInSelect');
+        countInSelect.value = this.playbackSettings.resumeCountIn ? 'on' : 'off';
+        countInSelect.addEventListener('change', () => {
+            this.playbackSettings.resumeCountIn = countInSelect.value === 'on';
+            this.writeStorage(this.playbackStorageKey, this.playbackSettings);
+        });
+        const jumpSelect = document.getElementById('jumpModeSelect');
+        jumpSelect.value = this.playbackSettings.jumpMode;
+        jumpSelect.addEventListener('change', () => {
+            this.playbackSettings.jumpMode = jumpSelect.value;
+            this.writeStorage(this.playbackStorageKey, this.playbackSettings);
+        });
+        this.updateTransport();
+    }
+    
+    updateTransport() {
+        const button = document.getElementById('pauseButton');
+        button.disabled = !this.isRunning || this.midiSync !== null;
+        button.textContent = this.isPaused ? 'Resume' : 'Pause';
+        button.classList.toggle('active', this.isPaused);
+        
+        // Jumps need a ramp routine that is playing
+        const canJump = this.isRunning && !this.isPaused && this.runMode !== 'normal';
+        document.getElementById('restartStepButton').disabled = !canJump;
+        document.getElementById('prevSegmentButton').disabled = !canJump || this.runMode !== 'complex';
+        document.getElementById('nextSegmentButton').disabled = !canJump || this.runMode !== 'complex';
+        this.updateStage();
+    }
+    
+    togglePause() {
+        if (this.isPaused) {
+            this.resume();
+        } else {
+            this.pause();
         }
+    }
+    
+    // Stops the sound but keeps the segment, tempo step, bar and beat, so resume()
+    // carries on after the last beat that was heard
+    pause() {
+        if (!this.isRunning || this.isPaused || this.midiSync) return; // The master pauses a synced run
         
-        if (complexMode) {
-            this.currentSegmentIndex = -1;
-            this.updateSegmentsDisplay();
+        // Elapsed time at the beat resume() starts with; before the first beat the
+        // routine simply starts over after the "GET READY" pause
+        const beat = this.lastBeat;
+        this.pausedElapsed = beat && !beat.isCountIn
+            ? beat.time + beat.duration - this.sessionStartTime
+            : this.preRollTime;
+        
+        this.isPaused = true;
+        this.engine.stop();
+        this.silenceScheduled();
+        this.stopMidiClock();
+        this.releaseWakeLock();
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
         }
+        if (this.runMode !== 'normal' && this.totalTime > 0) {
+            document.getElementById('timerDisplay').textContent =
+                this.formatTime(Math.max(0, this.totalTime - this.pausedElapsed));
+        }
+        if ('mediaSession' in navigator) {
+            navigator.mediaSession.playbackState = 'paused';
+        }
+        document.getElementById('readyDisplay').textContent = 'PAUSED';
+        this.updateTransport();
+    }
+    
+    resume() {
+        if (!this.isPaused) return;
         
-        if (this.isRunning && !normalMode) {
-            this.stop();
-            document.getElementById('readyDisplay').textContent = 'Complete!';
+        const beat = this.lastBeat && !this.lastBeat.isCountIn ? this.lastBeat : null;
+        const timeline = beat
+            ? this.getLiveBeats({
+                pass: beat.pass,
+                segment: beat.segmentIndex,
+                beat: beat.segmentBeat + 1,
+                countIn: this.playbackSettings.resumeCountIn
+            })
+            : this.getLiveBeats();
+        const startTime = this.audioContext.currentTime + this.engine.scheduleAheadTime;
+        
+        this.isPaused = false;
+        this.sessionStartTime = startTime - this.pausedElapsed;
+        this.midiStartPending = true;
+        this.midiContinue = !!beat;
+        if (this.runMode !== 'normal') {
+            this.timerInterval = setInterval(() => this.updateTimerDisplay(), 500);
         }
+        if ('mediaSession' in navigator) {
+            navigator.mediaSession.playbackState = 'playing';
+        }
+        this.requestWakeLock();
+        this.updateTransport();
+        this.engine.start(timeline, startTime);
     }
     
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    // Carries on from beat `segmentBeat` of segment `segmentIndex` on pass `pass` of a
+    // ramp routine - straight away, or once the bar being played is over
+    seek(pass, segmentIndex, segmentBeat = 0) {
+        if (!this.isRunning || this.isPaused || this.runMode === 'normal') return;
+        
+        const target = this.getLiveBeats({ pass, segment: segmentIndex, beat: segmentBeat, countIn: false });
+        if (this.playbackSettings.jumpMode === 'bar' &&
+            this.engine.replace(this.generateJump(target, this.engine.timeline, this.engine.lastBeat))) {
+            return;
+        }
+        
+        this.silenceScheduled();
+        this.midi.clear();
+        this.engine.start(this.generateJump(target), this.audioContext.currentTime + this.engine.scheduleAheadTime);
     }
     
-    calculateTotalTime() {
-        let segments;
-        let isRampMode = false;
+    // The beats of a jump: the rest of the bar `lastBeat` is in (taken from `current`,
+    // the timeline playing) when finishing the bar, then `target`. The first target beat
+    // is marked `jumped`, so the countdown can be moved when it is scheduled.
+    *generateJump(target, current = null, lastBeat = null) {
+        let beat = lastBeat;
+        while (current && beat && beat.beatInBar < beat.meter.beats) {
+            const next = current.next();
+            if (next.done) break;
+            beat = next.value;
+            yield beat;
+        }
         
-        if (this.tempoSegments.length > 0) {
-            segments = this.tempoSegments;
-            isRampMode = true;
-        } else {
-            const startBpm = this.knobs.startBpm;
-            const endBpm = this.knobs.endBpm;
-            
-            if (startBpm === endBpm) {
-                return 0; // Infinite
+        const first = target.next();
+        if (first.done) return;
+        yield { ...first.value, jumped: true };
+        yield* target;
+    }
+    
+    // The beat on display, or the start of the routine during "GET READY" and the count-in
+    getPlayingPosition() {
+        const beat = this.lastBeat;
+        if (!beat || beat.isCountIn) {
+            return { pass: this.currentPass, segmentIndex: 0, segmentBeat: 0 };
+        }
+        return beat;
+    }
+    
+    jumpToSegment(segmentIndex) {
+        this.seek(this.getPlayingPosition().pass, segmentIndex);
+    }
+    
+    // Next/previous segment of a Complex Ramp (transport buttons, media keys, headset buttons)
+    skipSegment(direction) {
+        if (this.runMode !== 'complex') return;
+        const { pass, segmentIndex } = this.getPlayingPosition();
+        const target = Math.max(0, Math.min(this.tempoSegments.length - 1, segmentIndex + direction));
+        this.seek(pass, target);
+    }
+    
+    // Back to the first beat of the tempo step playing
+    restartStep() {
+        if (!this.isRunning || this.runMode === 'normal') return;
+        const { pass, segmentIndex, segmentBeat } = this.getPlayingPosition();
+        const routine = this.getRoutine();
+        const segment = shiftSegment(routine, routine.segments[segmentIndex], pass);
+        this.seek(pass, segmentIndex, getStepStartBeat(segment, segmentBeat));
+    }
+    
+    // Audio is queued ahead on 'schedule'; the display follows the other events,
+    // which fire as each beat sounds.
+    initEngine() {
+        this.engine.on('schedule', (beat) => {
+            if (this.midiSync) {
+                this.midiSync.beats++;
             }
-            
-            segments = [{
-                start: startBpm,
-                end: endBpm,
-                bars: this.knobs.bars,
-                beats: this.knobs.beats,
-                increment: this.knobs.increment
-            }];
-            isRampMode = true;
-        }
-        
-        let totalSeconds = 0;
-        
-        for (const segment of segments) {
-            const startBpm = segment.start;
-            const endBpm = segment.end;
-            const increment = segment.increment;
-            const beatsPerBar = segment.beats;
-            const barsPerTempo = segment.bars;
-            const totalBeatsPerTempo = beatsPerBar * barsPerTempo;
-            
-            if (startBpm === endBpm) {
-                totalSeconds += totalBeatsPerTempo / (startBpm / 60.0);
-            } else {
-                if (startBpm < endBpm) {
-                    let currentBpm = startBpm;
-                    while (currentBpm <= endBpm) {
-                        totalSeconds += totalBeatsPerTempo / (currentBpm / 60.0);
-                        currentBpm += increment;
-                    }
-                } else {
-                    let currentBpm = startBpm;
-                    while (currentBpm >= endBpm) {
-                        totalSeconds += totalBeatsPerTempo / (currentBpm / 60.0);
-                        currentBpm -= increment;
-                    }
-                }
+            // Move the countdown so it shows what is left from where a jump landed
+            if (beat.jumped && this.totalTime > 0) {
+                this.sessionStartTime = beat.time +
+                    getRemainingTime(this.getRoutine(), beat.pass, beat.segmentIndex, beat.segmentBeat) - this.totalTime;
             }
-        }
+            this.recordAnalysisClick(beat);
+            this.sendMidiBeat(beat.time, beat.duration, beat.meter, beat.isCountIn);
+            if (this.isStageMuted()) return;
+            this.playClick(beat.state, beat.time);
+            if (!beat.isCountIn && beat.state !== 'muted') {
+                this.scheduleSubdivisions(beat.time, beat.duration, beat.meter.subdivision, beat.meter.swing);
+            }
+            this.schedulePolyPulses(beat, beat.time);
+        });
         
-        // Add countdown time
-        if (isRampMode && segments.length > 0) {
-            const firstSegment = segments[0];
-            const beatsPerBar = firstSegment.beats;
-            const countdownBpm = firstSegment.start;
-            const countdownTime = beatsPerBar / (countdownBpm / 60.0);
-            totalSeconds += countdownTime + 1.0; // +1 for GET READY
-        }
+        this.engine.on('segment', (beat) => {
+            if (beat.isCountIn) return;
+            // A count-in at the same tempo gets no 'tempo' event, so show it here
+            this.showTempo(beat);
+            if (this.runMode !== 'complex') return;
+            this.currentSegmentIndex = beat.segmentIndex + 1;
+            this.currentSegment = beat.meter;
+            this.updateSegmentsDisplay(this.currentSegmentIndex);
+            this.updateMediaSession(beat);
+        });
+        
+        this.engine.on('tempo', (beat) => {
+            this.updateMediaSession(beat);
+            if (beat.isCountIn) return;
+            this.showTempo(beat);
+        });
+        
+        this.engine.on('bar', () => {
+            if (this.onsetDetector) {
+                this.updateAnalysisPanel();
+            }
+        });
+        
+        this.engine.on('beat', (beat) => {
+            this.lastBeat = beat;
+            if (beat.pass !== this.currentPass) {
+                this.currentPass = beat.pass;
+                this.showTempo(beat);
+            }
+            if (beat.isCountIn) {
+                document.getElementById('readyDisplay').textContent = -(beat.meter.beats - beat.beatInBar + 1);
+            }
+            this.countTrainerBeat(beat);
+            this.logSessionBeat(beat);
+            // Silent beats still move the dot, unless the trainer hides them too
+            const activeBeat = beat.silenced && beat.meter.trainerHide ? null : beat.beatInBar - 1;
+            if (beat.beatInBar === 1) {
+                this.activePulse = null;
+            }
+            // Pulses on the beat light with it, the others when they sound
+            this.getPolyPulses(beat).forEach(({ pulse, time }) => {
+                if (time <= beat.time) {
+                    this.activePulse = pulse - 1;
+                    return;
+                }
+                this.engine.at(time + this.engine.displayDelay, () => {
+                    this.activePulse = pulse - 1;
+                    this.updateBeatDisplay(activeBeat, this.activePulse);
+                });
+            });
+            this.updateBeatDisplay(activeBeat, this.activePulse);
+            this.showStageBeat(beat);
+        });
         
-        return totalSeconds;
+        this.engine.on('end', () => {
+            this.endSession(true);
+            this.stop();
+            document.getElementById('readyDisplay').textContent = 'Complete!';
+        });
+    }
+    
+    showTempo(beat) {
+        const loop = this.runMode === 'normal' ? '' : this.getLoopLabel(beat.pass);
+        document.getElementById('readyDisplay').textContent = `${Math.round(beat.tempo)} BPM${loop ? ` · ${loop}` : ''}`;
+    }
+    
+    // The routine as timeline.js reads it: the saved segments, or the knobs as the only one
+    getRoutine() {
+        const complex = this.tempoSegments.length > 0;
+        return {
+            segments: complex ? this.tempoSegments : [this.getKnobSegment()],
+            complex,
+            beatStates: this.beatStates,
+            repeat: this.repeat,
+            tempoRange: this.knobRanges.startBpm,
+            preRollTime: this.preRollTime
+        };
+    }
+    
+    // The routine's beats for playback (see generateBeats() in timeline.js). Normal mode
+    // reads the knobs for every beat, so live changes apply on the next beat; segment
+    // loops and count-ins after a jump are added to the countdown as they start.
+    // Following a MIDI clock, the knobs' meter plays bar after bar at the master's tempo.
+    getLiveBeats(options = {}) {
+        let routine = this.getRoutine();
+        if (this.midiSync) {
+            const meter = this.getKnobSegment();
+            routine = { ...routine, complex: false, segments: [{ ...meter, end: meter.start }] };
+        }
+        return generateBeats(routine, {
+            ...options,
+            live: {
+                meter: () => this.getKnobSegment(),
+                tempo: (meter) => (this.midiSync ? this.getSyncTempo(meter) : this.currentTempo),
+                looping: () => this.loopingSegment && this.isRunning,
+                addTime: (seconds) => {
+                    if (this.totalTime > 0) this.totalTime += seconds;
+                }
+            }
+        });
+    }
+    
+    // Stepped ramps cannot move between different start and end tempos without an increment
+    needsIncrement(increment, curve) {
+        return curve === 'stepped' && increment === 0;
     }
     
     formatTime(seconds) {
@@ -1107,33 +2219,209 @@ class DynamicMetronome {
         return `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
     }
     
+    // Appends the knobs as a new segment, or writes them back over the segment being edited
     saveSegment() {
+        const segment = this.createSegmentFromKnobs();
+        if (!segment) return;
+        
+        const editing = this.editingSegmentIndex;
+        this.changeSegments(segments => {
+            if (editing === -1) {
+                segments.push(segment);
+            } else {
+                segments[editing] = segment;
+            }
+        });
+        if (editing !== -1) {
+            this.knobsBeforeEdit = null; // The knobs now hold the updated segment - keep them
+            this.cancelSegmentEdit();
+        }
+    }
+    
+    // The knobs and current accents as a segment, or null (after telling the user) if
+    // the knobs describe a ramp that can't play
+    createSegmentFromKnobs() {
         const startBpm = this.knobs.startBpm;
         const endBpm = this.knobs.endBpm;
         const increment = this.knobs.increment;
         
-        if (startBpm !== endBpm && increment === 0) {
+        if (startBpm !== endBpm && this.needsIncrement(increment, this.knobs.curve)) {
             alert('BPM Increment Required\n\nStart and End BPM parameters are different.\n\nEither:\n• Set a BPM increment to use tempo ramp mode, or\n• Set Start and End BPM to the same value to use normal metronome mode');
+            return null;
+        }
+        
+        const segment = this.getKnobSegment();
+        segment.accents = [...this.beatStates].filter(([beat]) => beat <= segment.beats);
+        return segment;
+    }
+    
+    // Applies `mutate` to the segment list. The selected and edited segments are tracked
+    // by object, so they stay selected when indices shift (and drop out when deleted).
+    changeSegments(mutate) {
+        const selected = this.tempoSegments[this.selectedSegmentIndex] || null;
+        const editing = this.tempoSegments[this.editingSegmentIndex] || null;
+        
+        mutate(this.tempoSegments);
+        
+        this.editingSegmentIndex = editing ? this.tempoSegments.indexOf(editing) : -1;
+        this.selectSegment(selected ? this.tempoSegments.indexOf(selected) : -1);
+        this.updateModeIndicators();
+        this.saveState();
+    }
+    
+    // Loads the selected segment into the knobs and the beat canvas. Save Segment then
+    // writes the changes back in place.
+    editSegment() {
+        const idx = this.selectedSegmentIndex;
+        const segment = this.tempoSegments[idx];
+        if (!segment || this.isRunning) return;
+        
+        // Switching to another segment mid-edit keeps the settings from before the first
+        if (this.editingSegmentIndex === -1) {
+            this.knobsBeforeEdit = {
+                knobs: JSON.parse(JSON.stringify(this.knobs)),
+                beatStates: new Map(this.beatStates),
+                endBpmManuallyChanged: this.endBpmManuallyChanged
+            };
+        }
+        this.knobs.startBpm = segment.start;
+        this.knobs.endBpm = segment.end;
+        ['bars', 'beats', 'increment', 'subdivision', 'swing', 'beatUnit', 'pulse', 'grouping', 'curve', 'exactEnd',
+            'lengthUnit', 'poly', 'polyAccents', ...Object.keys(TRAINER_DEFAULTS)]
+            .forEach(key => { this.knobs[key] = segment[key]; });
+        this.currentTempo = segment.start;
+        this.endBpmManuallyChanged = segment.start !== segment.end;
+        this.beatStates = new Map(segment.accents || []);
+        
+        // The beat canvas follows the knobs while editing, so nothing stays selected
+        this.editingSegmentIndex = idx;
+        this.selectedSegmentIndex = -1;
+        this.refreshControls();
+        this.saveState();
+    }
+    
+    // Leaves the segment as it was and puts back the knobs and accents from before the edit
+    cancelSegmentEdit() {
+        const before = this.knobsBeforeEdit;
+        this.editingSegmentIndex = -1;
+        this.knobsBeforeEdit = null;
+        if (!before) {
+            this.updateSegmentsDisplay();
             return;
         }
         
-        this.tempoSegments.push({
-            start: startBpm,
-            end: endBpm,
+        Object.assign(this.knobs, before.knobs);
+        this.beatStates = before.beatStates;
+        this.currentTempo = this.knobs.startBpm;
+        this.endBpmManuallyChanged = before.endBpmManuallyChanged;
+        this.refreshControls();
+        this.saveState();
+    }
+    
+    // Inserts the knobs as a new segment before (offset 0) or after (offset 1) the selected one
+    insertSegment(offset) {
+        const idx = this.selectedSegmentIndex;
+        if (idx === -1) return;
+        const segment = this.createSegmentFromKnobs();
+        if (!segment) return;
+        this.changeSegments(segments => segments.splice(idx + offset, 0, segment));
+    }
+    
+    duplicateSegment() {
+        const idx = this.selectedSegmentIndex;
+        const segment = this.tempoSegments[idx];
+        if (!segment) return;
+        const copy = { ...segment, accents: (segment.accents || []).map(([beat, state]) => [beat, state]) };
+        this.changeSegments(segments => segments.splice(idx + 1, 0, copy));
+    }
+    
+    deleteSegment() {
+        const idx = this.selectedSegmentIndex;
+        if (idx === -1) return;
+        this.changeSegments(segments => segments.splice(idx, 1));
+    }
+    
+    moveSelectedSegment(direction) {
+        const idx = this.selectedSegmentIndex;
+        if (idx === -1) return;
+        this.moveSegment(idx, idx + direction);
+    }
+    
+    moveSegment(from, to) {
+        if (to < 0 || to >= this.tempoSegments.length || to === from) return;
+        this.changeSegments(segments => segments.splice(to, 0, segments.splice(from, 1)[0]));
+    }
+    
+    // Drag a segment by its handle to reorder (pointer events, so mouse and touch both work)
+    startSegmentDrag(e, idx) {
+        if (this.isRunning) return;
+        e.preventDefault();
+        e.stopPropagation();
+        this.dragSegmentIndex = idx;
+        e.target.setPointerCapture(e.pointerId);
+        
+        const display = document.getElementById('segmentsDisplay');
+        const targetIndex = (event) => {
+            const line = document.elementFromPoint(event.clientX, event.clientY);
+            const target = line && line.closest('.segment-line');
+            return target && display.contains(target) ? parseInt(target.dataset.index) : -1;
+        };
+        const markTarget = (event) => {
+            const over = targetIndex(event);
+            display.querySelectorAll('.segment-line').forEach(line => {
+                line.classList.toggle('drag-over', parseInt(line.dataset.index) === over && over !== idx);
+            });
+        };
+        const finish = (event) => {
+            e.target.removeEventListener('pointermove', markTarget);
+            e.target.removeEventListener('pointerup', finish);
+            e.target.removeEventListener('pointercancel', finish);
+            this.dragSegmentIndex = -1;
+            const to = event.type === 'pointerup' ? targetIndex(event) : -1;
+            if (to === -1) {
+                this.updateSegmentsDisplay();
+            } else {
+                this.moveSegment(idx, to);
+                if (to === idx) this.updateSegmentsDisplay();
+            }
+        };
+        e.target.addEventListener('pointermove', markTarget);
+        e.target.addEventListener('pointerup', finish);
+        e.target.addEventListener('pointercancel', finish);
+        e.target.closest('.segment-line').classList.add('dragging');
+    }
+    
+    // The segment the knobs currently describe
+    getKnobSegment() {
+        return {
+            start: this.knobs.startBpm,
+            end: this.knobs.endBpm,
             bars: this.knobs.bars,
             beats: this.knobs.beats,
-            increment: increment
-        });
-        
-        this.updateSegmentsDisplay();
-        this.updateModeIndicators();
+            increment: this.knobs.increment,
+            subdivision: this.knobs.subdivision,
+            swing: this.knobs.swing,
+            beatUnit: this.knobs.beatUnit,
+            pulse: this.knobs.pulse,
+            grouping: this.knobs.grouping,
+            curve: this.knobs.curve,
+            exactEnd: this.knobs.exactEnd,
+            lengthUnit: this.knobs.lengthUnit,
+            poly: this.knobs.poly,
+            polyAccents: this.knobs.polyAccents,
+            trainer: this.knobs.trainer,
+            gapPlay: this.knobs.gapPlay,
+            gapMute: this.knobs.gapMute,
+            dropStart: this.knobs.dropStart,
+            dropEnd: this.knobs.dropEnd,
+            dropBars: this.knobs.dropBars,
+            trainerHide: this.knobs.trainerHide
+        };
     }
     
     removeLastSegment() {
         if (this.tempoSegments.length > 0) {
-            this.tempoSegments.pop();
-            this.updateSegmentsDisplay();
-            this.updateModeIndicators();
+            this.changeSegments(segments => segments.pop());
         } else {
             alert('No segments to remove.');
         }
@@ -1142,9 +2430,7 @@ class DynamicMetronome {
     clearSegments() {
         if (this.tempoSegments.length > 0) {
             if (confirm('Clear all saved tempo segments?')) {
-                this.tempoSegments = [];
-                this.updateSegmentsDisplay();
-                this.updateModeIndicators();
+                this.changeSegments(segments => segments.splice(0));
             }
         }
     }
@@ -1159,18 +2445,2181 @@ class DynamicMetronome {
             if (idx + 1 === highlightIndex) {
                 div.classList.add('current');
             }
+            if (idx === this.selectedSegmentIndex) {
+                div.classList.add('selected');
+            }
+            if (idx === this.editingSegmentIndex) {
+                div.classList.add('editing');
+            }
+            div.dataset.index = idx;
+            div.addEventListener('click', () => {
+                if (this.isRunning) {
+                    this.jumpToSegment(idx);
+                    return;
+                }
+                this.selectSegment(idx === this.selectedSegmentIndex ? -1 : idx);
+            });
+            
+            const handle = document.createElement('span');
+            handle.className = 'segment-handle';
+            handle.textContent = '☰';
+            handle.title = 'Drag to reorder';
+            handle.addEventListener('pointerdown', (e) => this.startSegmentDrag(e, idx));
+            handle.addEventListener('click', (e) => e.stopPropagation());
             
+            const signature = this.getSignatureLabel(seg);
+            const length = this.getLengthLabel(seg);
             let text;
             if (seg.start === seg.end) {
-                text = `${idx + 1}. ${seg.start} BPM, ${seg.bars} bars, ${seg.beats} beats/bar`;
-            } else {
+                text = `${idx + 1}. ${seg.start} BPM, ${length}, ${signature}`;
+            } else if (seg.curve === 'stepped') {
                 const arrow = seg.start < seg.end ? '↑' : '↓';
-                text = `${idx + 1}. ${seg.start}${arrow}${seg.end} BPM (Δ${seg.increment}), ${seg.bars} bars, ${seg.beats} beats/bar`;
+                const exact = seg.exactEnd ? ', exact end' : '';
+                text = `${idx + 1}. ${seg.start}${arrow}${seg.end} BPM (Δ${seg.increment}${exact}), ${length}, ${signature}`;
+            } else {
+                const arrow = seg.start < seg.end ? '↗' : '↘';
+                text = `${idx + 1}. ${seg.start}${arrow}${seg.end} BPM (${RAMP_CURVE_LABELS[seg.curve]}), ${length} total, ${signature}`;
+            }
+            if (seg.pulse !== 'beat') {
+                text += `, BPM in ${PULSE_LABELS[seg.pulse]}s`;
+            }
+            if (seg.subdivision > 1) {
+                text += `, ÷${seg.subdivision}`;
+                if (this.isDupleSubdivision(seg.subdivision) && seg.swing !== 50) {
+                    text += ` swing ${seg.swing}%`;
+                }
+            }
+            
+            if (seg.poly > 0) {
+                text += `, poly ${seg.poly}:${seg.beats}`;
+            }
+            
+            if (seg.trainer === 'gap') {
+                text += `, gap ${seg.gapPlay} on/${seg.gapMute} off`;
+            } else if (seg.trainer === 'random') {
+                text += `, dropout ${seg.dropStart}→${seg.dropEnd}%`;
+            }
+            if (idx === this.editingSegmentIndex) {
+                text += ' - editing';
             }
             
-            div.textContent = text;
+            div.appendChild(handle);
+            div.appendChild(document.createTextNode(text));
             display.appendChild(div);
         });
+        
+        this.updateSegmentTools();
+    }
+    
+    // "8 bars", or "0:30" / "2:00" for lengths in time
+    getLengthLabel(segment) {
+        if (segment.lengthUnit === 'bars') return `${segment.bars} bars`;
+        const seconds = getLengthSeconds(segment);
+        return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+    }
+    
+    // Segment buttons follow the selection, the edit in progress and the total time
+    updateSegmentTools() {
+        const hasSelection = this.selectedSegmentIndex !== -1 && !this.isRunning;
+        const editing = this.editingSegmentIndex !== -1;
+        const last = this.tempoSegments.length - 1;
+        
+        document.getElementById('segmentTools').hidden = !hasSelection && !editing;
+        ['editSegmentButton', 'insertBeforeButton', 'insertAfterButton', 'duplicateSegmentButton', 'deleteSegmentButton']
+            .forEach(id => { document.getElementById(id).disabled = !hasSelection; });
+        document.getElementById('moveUpButton').disabled = !hasSelection || this.selectedSegmentIndex === 0;
+        document.getElementById('moveDownButton').disabled = !hasSelection || this.selectedSegmentIndex === last;
+        document.getElementById('cancelEditButton').hidden = !editing;
+        document.getElementById('saveButton').textContent = editing ? `Update Segment ${this.editingSegmentIndex + 1}` : 'Save Segment';
+        
+        const total = document.getElementById('segmentsTotal');
+        const totalTime = calculateTotalTime(this.getRoutine());
+        total.textContent = this.tempoSegments.length > 0 ? `(total ${totalTime > 0 ? this.formatTime(totalTime) : '∞'})` : '';
+    }
+    
+    // Selecting a saved segment shows its meter and accents on the beat canvas for editing
+    selectSegment(idx) {
+        this.selectedSegmentIndex = idx;
+        
+        const instruction = document.getElementById('beatInstruction');
+        if (idx === -1) {
+            instruction.textContent = '(Tap beats to toggle accents)';
+        } else {
+            instruction.textContent = `(Editing accents of segment ${idx + 1} - tap it again to finish)`;
+        }
+        
+        this.updateSegmentsDisplay();
+        this.updateBeatDisplay();
+    }
+    
+    // ==================================
+    // Persistence (localStorage)
+    
+    readStorage(key) {
+        try {
+            const raw = localStorage.getItem(key);
+            return raw ? JSON.parse(raw) : null;
+        } catch (e) {
+            console.warn(`Could not read "${key}" from storage:`, e);
+            return null;
+        }
+    }
+    
+    writeStorage(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (e) {
+            // Private browsing or a full quota - keep working without persistence
+            console.warn(`Could not write "${key}" to storage:`, e);
+        }
+    }
+    
+    loadState() {
+        const state = this.readStorage(this.stateStorageKey);
+        if (state) {
+            const { routine, errors } = this.parseRoutine(state);
+            if (routine) {
+                this.applyRoutine(routine);
+                this.currentRoutineName = routine.name;
+            } else {
+                console.warn('Ignoring invalid saved state:', errors);
+            }
+        }
+        
+        const routines = this.readStorage(this.routinesStorageKey);
+        this.routines = [];
+        if (Array.isArray(routines)) {
+            routines.forEach(data => {
+                const { routine, errors } = this.parseRoutine(data);
+                if (routine && routine.name) {
+                    this.routines.push(routine);
+                } else {
+                    console.warn('Ignoring invalid saved routine:', errors);
+                }
+            });
+        }
+    }
+    
+    saveState() {
+        const state = this.snapshotRoutine(this.currentRoutineName);
+        this.writeStorage(this.stateStorageKey, state);
+    }
+    
+    // Everything saveSegment() and handleBeatClick() set up, plus the knobs and sound,
+    // in the routine file format (see "Routine File Format" in README.md)
+    snapshotRoutine(name) {
+        return {
+            format: ROUTINE_FORMAT,
+            version: ROUTINE_FORMAT_VERSION,
+            name: name || null,
+            knobs: { ...this.knobs },
+            segments: this.tempoSegments.map(seg => ({ ...seg })),
+            beatStates: [...this.beatStates],
+            sound: { style: this.soundStyle, polyStyle: this.polyStyle, ...JSON.parse(JSON.stringify(this.mixer)) },
+            repeat: { ...this.repeat }
+        };
+    }
+    
+    applyRoutine(routine) {
+        if (routine.knobs) {
+            Object.keys(this.knobs).forEach(key => {
+                if (routine.knobs[key] !== undefined) {
+                    this.knobs[key] = routine.knobs[key];
+                }
+            });
+        }
+        this.currentTempo = this.knobs.startBpm;
+        
+        if (Array.isArray(routine.segments)) {
+            this.tempoSegments = routine.segments.map(seg => ({ ...seg }));
+            this.selectedSegmentIndex = -1;
+            this.editingSegmentIndex = -1;
+        }
+        if (Array.isArray(routine.beatStates)) {
+            this.beatStates = new Map(routine.beatStates);
+        }
+        if (routine.repeat) {
+            this.repeat = { ...routine.repeat };
+        }
+        if (routine.sound && routine.sound.style) {
+            const { style, polyStyle, ...mixer } = routine.sound;
+            this.soundStyle = style;
+            this.polyStyle = polyStyle;
+            this.mixer = { ...createDefaultMixer(), ...JSON.parse(JSON.stringify(mixer)) };
+            if (this.masterGain) {
+                this.masterGain.gain.value = this.mixer.master / 100;
+            }
+        }
+    }
+    
+    // Redraw every control after the state was replaced from outside the knobs
+    refreshControls() {
+        Object.keys(this.knobControls).forEach(key => {
+            this.knobControls[key].setValue(this.knobs[key]);
+        });
+        this.updateSubdivisionControls();
+        this.updatePolyControls();
+        this.updateMeterControls();
+        this.updateRampControls();
+        this.updateRepeatControls();
+        this.updateTrainerControls();
+        this.updateSoundPanel();
+        this.selectSegment(this.selectedSegmentIndex); // Redraws the segments, beat canvas and hint
+        this.updateModeIndicators();
+    }
+    
+    // ==================================
+    // Routine file format: versioning, migration and validation
+    
+    // Brings any older routine object up to ROUTINE_FORMAT_VERSION.
+    // Returns { routine, errors } - routine is null when errors is not empty.
+    parseRoutine(data) {
+        let routine = data;
+        
+        // Version 0: unversioned data - a bare segment list or a pre-format library entry
+        if (Array.isArray(routine)) {
+            routine = { segments: routine };
+        }
+        if (!routine || typeof routine !== 'object') {
+            return { routine: null, errors: ['File does not contain a routine object'] };
+        }
+        if (routine.format !== undefined && routine.format !== ROUTINE_FORMAT) {
+            return { routine: null, errors: [`format: expected "${ROUTINE_FORMAT}", got "${routine.format}"`] };
+        }
+        
+        let version = routine.version === undefined ? 0 : routine.version;
+        if (!Number.isInteger(version) || version < 0) {
+            return { routine: null, errors: [`version: must be a whole number (got ${JSON.stringify(routine.version)})`] };
+        }
+        if (version > ROUTINE_FORMAT_VERSION) {
+            return { routine: null, errors: [`version: ${version} was made by a newer app (this app reads up to ${ROUTINE_FORMAT_VERSION})`] };
+        }
+        
+        while (version < ROUTINE_FORMAT_VERSION) {
+            routine = ROUTINE_MIGRATIONS[version](routine);
+            version = routine.version;
+        }
+        
+        const errors = this.validateRoutine(routine);
+        return { routine: errors.length === 0 ? routine : null, errors };
+    }
+    
+    // Checks a current-version routine against the ranges the knobs enforce
+    validateRoutine(routine) {
+        const errors = [];
+        const r = this.knobRanges;
+        
+        const checkInt = (path, value, [min, max]) => {
+            if (!Number.isInteger(value) || value < min || value > max) {
+                errors.push(`${path}: must be a whole number from ${min} to ${max} (got ${JSON.stringify(value)})`);
+                return false;
+            }
+            return true;
+        };
+        
+        if (routine.name !== null && typeof routine.name !== 'string') {
+            errors.push(`name: must be text (got ${JSON.stringify(routine.name)})`);
+        }
+        
+        // Also checks polyrhythm accents, whose pairs are [pulse, state]
+        const checkBeatStates = (path, list, maxBeat, unit = 'beat') => {
+            if (!Array.isArray(list)) {
+                errors.push(`${path}: must be a list of [${unit}, state] pairs`);
+                return;
+            }
+            list.forEach((entry, idx) => {
+                const entryPath = `${path}[${idx + 1}]`;
+                if (!Array.isArray(entry) || entry.length !== 2) {
+                    errors.push(`${entryPath}: must be a [${unit}, state] pair`);
+                    return;
+                }
+                checkInt(`${entryPath} ${unit}`, entry[0], [1, maxBeat]);
+                if (!BEAT_STATES.includes(entry[1])) {
+                    errors.push(`${entryPath} state: must be one of ${BEAT_STATES.join(', ')} (got ${JSON.stringify(entry[1])})`);
+                }
+            });
+        };
+        
+        const checkLengthUnit = (path, obj) => {
+            if (!LENGTH_UNITS.includes(obj.lengthUnit)) {
+                errors.push(`${path}.lengthUnit: must be one of ${LENGTH_UNITS.join(', ')} (got ${JSON.stringify(obj.lengthUnit)})`);
+            }
+        };
+        
+        const checkTrainer = (path, obj) => {
+            if (!TRAINER_MODES.includes(obj.trainer)) {
+                errors.push(`${path}.trainer: must be one of ${TRAINER_MODES.join(', ')} (got ${JSON.stringify(obj.trainer)})`);
+            }
+            Object.keys(this.trainerRanges).forEach(key => {
+                checkInt(`${path}.${key}`, obj[key], this.trainerRanges[key]);
+            });
+            if (typeof obj.trainerHide !== 'boolean') {
+                errors.push(`${path}.trainerHide: must be true or false (got ${JSON.stringify(obj.trainerHide)})`);
+            }
+        };
+        
+        // beatUnit, pulse and grouping are shared by the knobs and every segment
+        const checkMeter = (path, meter) => {
+            if (!BEAT_UNITS.includes(meter.beatUnit)) {
+                errors.push(`${path}.beatUnit: must be one of ${BEAT_UNITS.join(', ')} (got ${JSON.stringify(meter.beatUnit)})`);
+            }
+            if (!Object.prototype.hasOwnProperty.call(PULSE_NOTES, meter.pulse)) {
+                errors.push(`${path}.pulse: must be one of ${Object.keys(PULSE_NOTES).join(', ')} (got ${JSON.stringify(meter.pulse)})`);
+            }
+            if (!this.isValidGrouping(meter.grouping, meter.beats)) {
+                errors.push(`${path}.grouping: must be empty or numbers joined by "+" adding up to ${meter.beats} beats (got ${JSON.stringify(meter.grouping)})`);
+            }
+        };
+        
+        if (!routine.knobs || typeof routine.knobs !== 'object') {
+            errors.push('knobs: missing');
+        } else {
+            Object.keys(r).forEach(key => {
+                checkInt(`knobs.${key}`, routine.knobs[key], r[key]);
+            });
+            checkMeter('knobs', routine.knobs);
+            if (!RAMP_CURVES.includes(routine.knobs.curve)) {
+                errors.push(`knobs.curve: must be one of ${RAMP_CURVES.join(', ')} (got ${JSON.stringify(routine.knobs.curve)})`);
+            }
+            if (typeof routine.knobs.exactEnd !== 'boolean') {
+                errors.push(`knobs.exactEnd: must be true or false (got ${JSON.stringify(routine.knobs.exactEnd)})`);
+            }
+            checkLengthUnit('knobs', routine.knobs);
+            checkBeatStates('knobs.polyAccents', routine.knobs.polyAccents, r.poly[1], 'pulse');
+            checkTrainer('knobs', routine.knobs);
+        }
+        
+        if (!Array.isArray(routine.segments)) {
+            errors.push('segments: must be a list');
+        } else {
+            routine.segments.forEach((seg, idx) => {
+                const path = `segments[${idx + 1}]`;
+                if (!seg || typeof seg !== 'object') {
+                    errors.push(`${path}: must be a segment object`);
+                    return;
+                }
+                const okStart = checkInt(`${path}.start`, seg.start, r.startBpm);
+                const okEnd = checkInt(`${path}.end`, seg.end, r.endBpm);
+                checkInt(`${path}.bars`, seg.bars, r.bars);
+                checkInt(`${path}.beats`, seg.beats, r.beats);
+                checkInt(`${path}.subdivision`, seg.subdivision, r.subdivision);
+                checkInt(`${path}.swing`, seg.swing, r.swing);
+                checkMeter(path, seg);
+                checkBeatStates(`${path}.accents`, seg.accents, Number.isInteger(seg.beats) ? seg.beats : r.beats[1]);
+                const okIncrement = checkInt(`${path}.increment`, seg.increment, r.increment);
+                if (!RAMP_CURVES.includes(seg.curve)) {
+                    errors.push(`${path}.curve: must be one of ${RAMP_CURVES.join(', ')} (got ${JSON.stringify(seg.curve)})`);
+                } else if (okStart && okEnd && okIncrement && seg.start !== seg.end && this.needsIncrement(seg.increment, seg.curve)) {
+                    errors.push(`${path}.increment: must be above 0 when start (${seg.start}) and end (${seg.end}) differ in a stepped ramp`);
+                }
+                if (typeof seg.exactEnd !== 'boolean') {
+                    errors.push(`${path}.exactEnd: must be true or false (got ${JSON.stringify(seg.exactEnd)})`);
+                }
+                checkLengthUnit(path, seg);
+                checkInt(`${path}.poly`, seg.poly, r.poly);
+                checkBeatStates(`${path}.polyAccents`, seg.polyAccents, r.poly[1], 'pulse');
+                checkTrainer(path, seg);
+            });
+        }
+        
+        checkBeatStates('beatStates', routine.beatStates, r.beats[1]);
+        
+        if (!routine.sound || typeof routine.sound !== 'object') {
+            errors.push('sound: missing');
+        } else {
+            const sound = routine.sound;
+            const mr = this.mixerRanges;
+            ['style', 'polyStyle'].forEach(key => {
+                if (!this.soundStyles.includes(sound[key])) {
+                    errors.push(`sound.${key}: must be one of ${this.soundStyles.join(', ')} (got ${JSON.stringify(sound[key])})`);
+                }
+            });
+            checkInt('sound.master', sound.master, mr.volume);
+            SOUND_VOICES.forEach(name => {
+                if (!sound[name] || typeof sound[name] !== 'object') {
+                    errors.push(`sound.${name}: missing`);
+                    return;
+                }
+                checkInt(`sound.${name}.volume`, sound[name].volume, mr.volume);
+                checkInt(`sound.${name}.pitch`, sound[name].pitch, mr.pitch);
+            });
+        }
+        
+        if (!routine.repeat || typeof routine.repeat !== 'object') {
+            errors.push('repeat: missing');
+        } else {
+            Object.keys(this.repeatRanges).forEach(key => {
+                checkInt(`repeat.${key}`, routine.repeat[key], this.repeatRanges[key]);
+            });
+        }
+        
+        return errors;
+    }
+    
+    exportRoutine() {
+        const routine = this.snapshotRoutine(this.currentRoutineName);
+        const json = JSON.stringify(routine, null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        
+        this.downloadFile(blob, `${this.getFileName(routine.name)}.json`);
+    }
+    
+    getFileName(routineName) {
+        return (routineName || 'routine').replace(/[^\w\- ]+/g, '_').trim() || 'routine';
+    }
+    
+    downloadFile(blob, fileName) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+    
+    async importRoutine(file) {
+        if (this.isRunning) {
+            alert('Stop the metronome before importing a routine.');
+            return;
+        }
+        
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (e) {
+            alert(`Import Failed\n\n"${file.name}" is not a valid JSON file.`);
+            return;
+        }
+        
+        const { routine, errors } = this.parseRoutine(data);
+        if (!routine) {
+            alert(`Import Failed\n\n"${file.name}" has invalid data:\n\n• ${errors.join('\n• ')}`);
+            return;
+        }
+        
+        const label = routine.name ? `"${routine.name}"` : `"${file.name}"`;
+        if (!confirm(`Import ${label}?\n\nThis replaces your current knobs, segments and accents.`)) return;
+        
+        this.applyRoutine(routine);
+        this.currentRoutineName = routine.name;
+        this.refreshControls();
+        this.updateRoutineSelect();
+        this.saveState();
+    }
+    
+    // ==================================
+    // Shareable links (#routine=<base64url JSON>)
+    
+    // Segments are sent as a table (column names once, then one row per segment)
+    // and accents as one letter per beat, which keeps links short.
+    encodeRoutineLink(routine) {
+        const columns = [];
+        routine.segments.forEach(seg => {
+            Object.keys(seg).forEach(key => {
+                if (!columns.includes(key)) columns.push(key);
+            });
+        });
+        
+        const maxBeat = routine.beatStates.reduce((max, [beat]) => Math.max(max, beat), 0);
+        let accents = '';
+        for (let beat = 1; beat <= maxBeat; beat++) {
+            const state = routine.beatStates.find(([b]) => b === beat);
+            accents += state ? state[1][0] : 'n';
+        }
+        
+        const payload = {
+            v: routine.version,
+            n: routine.name,
+            k: routine.knobs,
+            c: columns,
+            s: routine.segments.map(seg => columns.map(key => seg[key] === undefined ? null : seg[key])),
+            a: accents,
+            o: routine.sound,
+            r: routine.repeat
+        };
+        
+        const bytes = new TextEncoder().encode(JSON.stringify(payload));
+        let binary = '';
+        bytes.forEach(b => { binary += String.fromCharCode(b); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+    
+    decodeRoutineLink(encoded) {
+        const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64);
+        const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+        const payload = JSON.parse(new TextDecoder().decode(bytes));
+        
+        const columns = Array.isArray(payload.c) ? payload.c : [];
+        const beatStates = [];
+        String(payload.a || '').split('').forEach((letter, idx) => {
+            const state = BEAT_STATES.find(st => st[0] === letter);
+            if (state && state !== 'normal') beatStates.push([idx + 1, state]);
+        });
+        
+        return {
+            format: ROUTINE_FORMAT,
+            version: payload.v,
+            name: payload.n === undefined ? null : payload.n,
+            knobs: payload.k,
+            segments: (payload.s || []).map(row => {
+                const seg = {};
+                columns.forEach((key, i) => {
+                    if (row[i] !== null && row[i] !== undefined) seg[key] = row[i];
+                });
+                return seg;
+            }),
+            beatStates: beatStates,
+            // Links made before version 6 carry only the style name
+            sound: typeof payload.o === 'string' ? { style: payload.o } : payload.o,
+            repeat: payload.r
+        };
+    }
+    
+    // Loads a routine from the URL fragment, asking first when it would replace
+    // a routine the user already has. Returns true if the routine was applied.
+    readSharedLink() {
+        const match = window.location.hash.match(/^#routine=([A-Za-z0-9_-]+)$/);
+        if (!match) return false;
+        
+        // The link is used once - reloading the page keeps whatever the user chose
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+        
+        let routine, errors;
+        try {
+            ({ routine, errors } = this.parseRoutine(this.decodeRoutineLink(match[1])));
+        } catch (e) {
+            routine = null;
+            errors = ['The link is damaged or incomplete'];
+        }
+        if (!routine) {
+            alert(`Shared Link Invalid\n\n• ${errors.join('\n• ')}`);
+            return false;
+        }
+        
+        if (this.isRunning) {
+            alert('Stop the metronome before opening a shared routine.');
+            return false;
+        }
+        
+        const current = JSON.stringify({ ...this.snapshotRoutine(), name: null });
+        const hasOwnRoutine = this.readStorage(this.stateStorageKey) !== null &&
+            current !== JSON.stringify({ ...routine, name: null });
+        if (hasOwnRoutine) {
+            const label = routine.name ? `"${routine.name}"` : 'the shared routine';
+            const message = `Open ${label}?\n\nThis replaces your current knobs, segments and accents. ` +
+                'Press Cancel to keep them (you can save them to the Routine Library first and open the link again).';
+            if (!confirm(message)) return false;
+        }
+        
+        this.applyRoutine(routine);
+        this.currentRoutineName = routine.name;
+        this.saveState();
+        return true;
+    }
+    
+    async copyShareLink() {
+        const routine = this.snapshotRoutine(this.currentRoutineName);
+        const url = `${window.location.origin}${window.location.pathname}#routine=${this.encodeRoutineLink(routine)}`;
+        
+        try {
+            await navigator.clipboard.writeText(url);
+            alert('Link copied!\n\nAnyone who opens it gets this routine loaded.');
+        } catch (e) {
+            // Clipboard API needs a secure context - let the user copy it by hand
+            prompt('Copy this link:', url);
+        }
+    }
+    
+    // ==================================
+    // Sound panel: style picker and mixer
+    
+    initSoundPanel() {
+        const styleSelect = document.getElementById('soundStyleSelect');
+        styleSelect.addEventListener('change', () => {
+            this.soundStyle = styleSelect.value;
+            this.saveState();
+            this.previewSound('accent');
+        });
+        const polyStyleSelect = document.getElementById('polyStyleSelect');
+        polyStyleSelect.addEventListener('change', () => {
+            this.polyStyle = polyStyleSelect.value;
+            this.saveState();
+            this.previewSound('poly');
+        });
+        
+        const master = document.getElementById('masterVolume');
+        master.addEventListener('input', () => {
+            this.mixer.master = parseInt(master.value);
+            if (this.masterGain) {
+                this.masterGain.gain.value = this.mixer.master / 100;
+            }
+            this.updateSoundPanel();
+            this.saveState();
+        });
+        
+        SOUND_VOICES.forEach(name => {
+            ['volume', 'pitch'].forEach(param => {
+                const slider = document.getElementById(`${name}${param === 'volume' ? 'Volume' : 'Pitch'}`);
+                [slider.min, slider.max] = this.mixerRanges[param];
+                slider.addEventListener('input', () => {
+                    this.mixer[name][param] = parseInt(slider.value);
+                    this.updateSoundPanel();
+                    this.saveState();
+                });
+                // Let the user hear the change when they let go
+                slider.addEventListener('change', () => this.previewSound(name));
+            });
+            document.getElementById(`${name}Preview`).addEventListener('click', () => this.previewSound(name));
+        });
+        
+        this.updateSoundPanel();
+    }
+    
+    updateSoundPanel() {
+        document.getElementById('soundStyleSelect').value = this.soundStyle;
+        document.getElementById('polyStyleSelect').value = this.polyStyle;
+        document.getElementById('masterVolume').value = this.mixer.master;
+        document.getElementById('masterVolumeValue').textContent = `${this.mixer.master}%`;
+        
+        SOUND_VOICES.forEach(name => {
+            const { volume, pitch } = this.mixer[name];
+            document.getElementById(`${name}Volume`).value = volume;
+            document.getElementById(`${name}VolumeValue`).textContent = `${volume}%`;
+            document.getElementById(`${name}Pitch`).value = pitch;
+            document.getElementById(`${name}PitchValue`).textContent = `${pitch > 0 ? '+' : ''}${pitch} st`;
+        });
+    }
+    
+    async previewSound(voiceName) {
+        if (!this.audioContext) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+        this.playClick(voiceName);
+    }
+    
+    // ==================================
+    // User samples
+    
+    initSamples() {
+        const saved = this.readStorage(this.samplesStorageKey);
+        if (saved) {
+            this.sampleSettings = saved;
+        }
+        
+        SOUND_VOICES.forEach(name => {
+            const fileInput = document.getElementById(`${name}SampleFile`);
+            document.getElementById(`${name}SampleLoad`).addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = ''; // Allow loading the same file twice
+                if (file) this.loadSample(name, file);
+            });
+            document.getElementById(`${name}SampleClear`).addEventListener('click', () => this.clearSample(name));
+            
+            const fields = { trimStart: 'TrimStart', trimEnd: 'TrimEnd', gain: 'SampleGain' };
+            Object.entries(fields).forEach(([key, id]) => {
+                const input = document.getElementById(`${name}${id}`);
+                [input.min, input.max] = this.sampleRanges[key === 'gain' ? 'gain' : 'trim'];
+                input.addEventListener('input', () => {
+                    const settings = this.sampleSettings[name];
+                    const value = parseInt(input.value);
+                    if (!settings || isNaN(value)) return;
+                    settings[key] = Math.max(parseInt(input.min), Math.min(parseInt(input.max), value));
+                    this.updateSampleControls();
+                    this.saveSampleSettings();
+                });
+                input.addEventListener('change', () => this.previewSound(name));
+            });
+        });
+        
+        this.updateSampleControls();
+        
+        if (!this.sampleStore.isSupported()) return;
+        this.sampleStore.getAll().then(records => {
+            records.forEach(record => {
+                if (!this.sampleSettings[record.voice]) return; // Cleared while storage was busy
+                try {
+                    this.samples[record.voice] = recordToAudioBuffer(record);
+                } catch (e) {
+                    console.warn(`Could not restore the ${record.voice} sample:`, e);
+                }
+            });
+            this.updateSampleControls();
+        }).catch(e => {
+            console.warn('Could not read samples from storage:', e);
+        });
+    }
+    
+    async loadSample(voiceName, file) {
+        if (!this.audioContext) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        
+        let buffer;
+        try {
+            buffer = await this.audioContext.decodeAudioData(await file.arrayBuffer());
+        } catch (e) {
+            alert(`Could Not Load Sample\n\n"${file.name}" could not be decoded (${e.message || e}).\n\nThe built-in ${voiceName} click will be used instead.`);
+            return;
+        }
+        
+        this.samples[voiceName] = buffer;
+        this.sampleSettings[voiceName] = { name: file.name, trimStart: 0, trimEnd: 0, gain: 100 };
+        this.saveSampleSettings();
+        this.updateSampleControls();
+        this.previewSound(voiceName);
+        
+        if (!this.sampleStore.isSupported()) return;
+        try {
+            await this.sampleStore.put(audioBufferToRecord(voiceName, file.name, buffer));
+        } catch (e) {
+            // Quota or private browsing - the sample still works until the page is closed
+            console.warn(`Could not store the ${voiceName} sample:`, e);
+        }
+    }
+    
+    clearSample(voiceName) {
+        if (!this.sampleSettings[voiceName]) return;
+        delete this.samples[voiceName];
+        delete this.sampleSettings[voiceName];
+        this.saveSampleSettings();
+        this.updateSampleControls();
+        
+        if (this.sampleStore.isSupported()) {
+            this.sampleStore.delete(voiceName).catch(e => {
+                console.warn(`Could not remove the ${voiceName} sample from storage:`, e);
+            });
+        }
+    }
+    
+    saveSampleSettings() {
+        this.writeStorage(this.samplesStorageKey, this.sampleSettings);
+    }
+    
+    updateSampleControls() {
+        SOUND_VOICES.forEach(name => {
+            const settings = this.sampleSettings[name];
+            const loaded = !!(settings && this.samples[name]);
+            
+            document.getElementById(`${name}SampleName`).textContent = loaded ? settings.name : 'BUILT-IN';
+            document.getElementById(`${name}SampleClear`).disabled = !settings;
+            ['TrimStart', 'TrimEnd', 'SampleGain'].forEach(id => {
+                document.getElementById(`${name}${id}`).disabled = !loaded;
+            });
+            
+            const values = settings || { trimStart: 0, trimEnd: 0, gain: 100 };
+            document.getElementById(`${name}TrimStart`).value = values.trimStart;
+            document.getElementById(`${name}TrimEnd`).value = values.trimEnd;
+            document.getElementById(`${name}SampleGain`).value = values.gain;
+            document.getElementById(`${name}SampleGainValue`).textContent = `${values.gain}%`;
+        });
+    }
+    
+    // ==================================
+    // Background playback: worker clock, wake lock, media session
+    
+    // Engine ticks from clock-worker.js. Returns null where workers can't load
+    // (e.g. pages opened from file://), and the engine falls back to page timers.
+    createWorkerTicker() {
+        let worker;
+        try {
+            worker = new Worker('clock-worker.js');
+        } catch (e) {
+            console.warn('Background clock unavailable, using page timers:', e);
+            return null;
+        }
+        
+        let onTick = null;
+        worker.onmessage = () => {
+            if (onTick) onTick();
+        };
+        worker.onerror = (e) => {
+            console.warn('Background clock failed, using page timers:', e.message || e);
+            worker.terminate();
+            this.engine.ticker = null;
+            this.engine.tick(); // Restarts the page timer if a routine is playing
+        };
+        
+        return {
+            start: (callback, interval) => {
+                onTick = callback;
+                worker.postMessage({ command: 'start', interval });
+            },
+            stop: () => {
+                onTick = null;
+                worker.postMessage({ command: 'stop' });
+            }
+        };
+    }
+    
+    initBackgroundPlayback() {
+        // The wake lock is dropped whenever the page is hidden - take it again on return
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState !== 'visible' || !this.isRunning) return;
+            this.requestWakeLock();
+            this.updateTimerDisplay();
+        });
+        
+        if (!('mediaSession' in navigator)) return;
+        const handlers = {
+            play: () => {
+                if (this.isPaused) {
+                    this.resume();
+                } else if (!this.isRunning) {
+                    this.start();
+                }
+            },
+            pause: () => this.pause(),
+            stop: () => {
+                if (this.isRunning) this.stop();
+            },
+            nexttrack: () => this.skipSegment(1),
+            previoustrack: () => this.skipSegment(-1)
+        };
+        Object.entries(handlers).forEach(([action, handler]) => {
+            try {
+                navigator.mediaSession.setActionHandler(action, handler);
+            } catch (e) {
+                // Not every browser supports every action
+            }
+        });
+    }
+    
+    async requestWakeLock() {
+        if (!('wakeLock' in navigator) || this.wakeLock) return;
+        try {
+            this.wakeLock = await navigator.wakeLock.request('screen');
+            this.wakeLock.addEventListener('release', () => {
+                this.wakeLock = null;
+            });
+            if (!this.isRunning) this.releaseWakeLock(); // Stopped while the request was pending
+        } catch (e) {
+            // Refused (low battery, hidden page) - the metronome still keeps time
+            console.warn('Screen wake lock unavailable:', e.message || e);
+        }
+    }
+    
+    releaseWakeLock() {
+        if (this.wakeLock) {
+            this.wakeLock.release();
+            this.wakeLock = null;
+        }
+    }
+    
+    // Lock-screen and headset controls show the BPM and segment playing
+    updateMediaSession(beat) {
+        if (!('mediaSession' in navigator) || typeof MediaMetadata === 'undefined') return;
+        
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title: `${Math.round(beat.tempo)} BPM`,
+            artist: this.getSectionLabel(beat),
+            album: this.currentRoutineName || 'Dynamic Metronome'
+        });
+    }
+    
+    // What part of the routine `beat` is in, e.g. 'Segment 2 of 5'
+    getSectionLabel(beat) {
+        if (beat.isCountIn) return 'Count-in';
+        if (this.runMode === 'complex') {
+            return `Segment ${beat.segmentIndex + 1} of ${this.tempoSegments.length}`;
+        }
+        return RUN_MODE_LABELS[this.runMode];
+    }
+    
+    // Cuts off clicks already queued on the audio clock by swapping in a fresh output bus
+    silenceScheduled() {
+        this.dropAnalysisClicks(this.audioContext.currentTime);
+        if (!this.masterGain) return;
+        this.masterGain.disconnect();
+        this.masterGain = null;
+    }
+    
+    // ==================================
+    // Practice history
+    
+    initHistory() {
+        const saved = this.readStorage(this.historyStorageKey);
+        if (Array.isArray(saved)) {
+            this.history = saved;
+        }
+        
+        document.getElementById('historyRoutineSelect').addEventListener('change', () => this.updateHistoryTrend());
+        document.getElementById('historyExportButton').addEventListener('click', () => this.exportHistory());
+        document.getElementById('historyClearButton').addEventListener('click', () => {
+            if (this.history.length === 0) return;
+            if (!confirm(`Delete all ${this.history.length} logged sessions?`)) return;
+            this.history = [];
+            this.writeStorage(this.historyStorageKey, this.history);
+            this.updateHistoryPanel();
+        });
+        this.updateHistoryPanel();
+    }
+    
+    beginSession() {
+        this.session = {
+            date: new Date().toISOString(),
+            mode: this.runMode,
+            routine: this.currentRoutineName,
+            planned: this.runMode === 'normal' ? 0 : Math.round(getRemainingTime(this.getRoutine(), 0, 0)), // 0 when endless
+            played: 0,
+            maxBpm: 0
+        };
+    }
+    
+    logSessionBeat(beat) {
+        if (!this.session || beat.isCountIn) return;
+        this.session.played += beat.duration;
+        this.session.maxBpm = Math.max(this.session.maxBpm, Math.round(beat.tempo));
+    }
+    
+    // Stopping during "GET READY" or the count-in isn't practice, so it isn't logged
+    endSession(finished) {
+        const session = this.session;
+        this.session = null;
+        if (!session || session.played < 1) return;
+        
+        this.history = addSession(this.history, { ...session, played: Math.round(session.played), finished });
+        this.writeStorage(this.historyStorageKey, this.history);
+        this.updateHistoryPanel();
+    }
+    
+    // "1 h 05 min", "25 min" or "40 s"
+    formatDuration(seconds) {
+        const minutes = Math.round(seconds / 60);
+        if (seconds < 60) return `${Math.round(seconds)} s`;
+        if (minutes < 60) return `${minutes} min`;
+        return `${Math.floor(minutes / 60)} h ${(minutes % 60).toString().padStart(2, '0')} min`;
+    }
+    
+    formatDay(key, options = { weekday: 'short', day: 'numeric', month: 'short' }) {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(year, month - 1, day).toLocaleDateString(undefined, options);
+    }
+    
+    // One line of a bar chart: label, a bar `fraction` of the full width, value
+    createHistoryBar(label, fraction, value) {
+        const row = document.createElement('div');
+        row.className = 'history-bar-row';
+        const name = document.createElement('span');
+        name.className = 'history-bar-label';
+        name.textContent = label;
+        const bar = document.createElement('span');
+        bar.className = 'history-bar';
+        bar.style.width = `${Math.round(fraction * 100)}%`;
+        const amount = document.createElement('span');
+        amount.className = 'history-bar-value';
+        amount.textContent = value;
+        const track = document.createElement('span');
+        track.className = 'history-bar-track';
+        track.appendChild(bar);
+        row.appendChild(name);
+        row.appendChild(track);
+        row.appendChild(amount);
+        return row;
+    }
+    
+    updateHistoryPanel() {
+        const summary = document.getElementById('historySummary');
+        if (this.history.length === 0) {
+            summary.textContent = 'No sessions yet. Every run of the metronome is logged here.';
+        } else {
+            const total = this.history.reduce((sum, session) => sum + session.played, 0);
+            const { current, longest } = getStreaks(this.history);
+            summary.textContent = `${this.history.length} sessions, ${this.formatDuration(total)} in total. ` +
+                `Streak: ${current} day${current === 1 ? '' : 's'} (best ${longest})`;
+        }
+        
+        // Practice per day
+        const days = getDailyTotals(this.history, this.historyDays);
+        const busiest = Math.max(...days.map(day => day.seconds));
+        const dayList = document.getElementById('historyDays');
+        dayList.innerHTML = '';
+        days.forEach(({ day, seconds }) => {
+            dayList.appendChild(this.createHistoryBar(this.formatDay(day), busiest > 0 ? seconds / busiest : 0,
+                seconds > 0 ? this.formatDuration(seconds) : '-'));
+        });
+        
+        // Routines to pick a trend from, most recently played first ('' = unsaved settings)
+        const select = document.getElementById('historyRoutineSelect');
+        const selected = select.value;
+        const names = [...new Set(this.history.map(session => session.routine || '').reverse())];
+        select.innerHTML = '';
+        names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name || '(unsaved settings)';
+            select.appendChild(option);
+        });
+        if (names.includes(selected)) select.value = selected;
+        this.updateHistoryTrend();
+        
+        // Most recent sessions
+        const list = document.getElementById('historySessions');
+        list.innerHTML = '';
+        this.history.slice(-20).reverse().forEach(session => {
+            const date = new Date(session.date);
+            const div = document.createElement('div');
+            const when = `${this.formatDay(toDayKey(date))} ${date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}`;
+            const length = session.planned > 0
+                ? `${this.formatTime(session.played)} of ${this.formatTime(session.planned)}`
+                : this.formatTime(session.played);
+            div.textContent = `${when} · ${session.routine || RUN_MODE_LABELS[session.mode]} · ${length} · ` +
+                `max ${session.maxBpm} BPM · ${session.finished ? 'finished' : 'stopped'}`;
+            list.appendChild(div);
+        });
+    }
+    
+    // Highest BPM per week for the routine picked in the history panel
+    updateHistoryTrend() {
+        const trendList = document.getElementById('historyTrend');
+        trendList.innerHTML = '';
+        if (this.history.length === 0) return;
+        
+        const routine = document.getElementById('historyRoutineSelect').value || null;
+        const weeks = getRoutineTrend(this.history, routine);
+        const fastest = Math.max(...weeks.map(week => week.maxBpm));
+        weeks.forEach(({ week, maxBpm }) => {
+            const label = `Week of ${this.formatDay(week, { day: 'numeric', month: 'short' })}`;
+            trendList.appendChild(this.createHistoryBar(label, fastest > 0 ? maxBpm / fastest : 0, `${maxBpm} BPM`));
+        });
+    }
+    
+    exportHistory() {
+        if (this.history.length === 0) {
+            alert('No practice sessions to export yet.');
+            return;
+        }
+        const blob = new Blob([sessionsToCsv(this.history)], { type: 'text/csv' });
+        this.downloadFile(blob, `practice-history-${toDayKey(new Date())}.csv`);
+    }
+    
+    // ==================================
+    // Latency calibration
+    
+    initLatency() {
+        const saved = this.readStorage(this.latencyStorageKey);
+        if (saved && typeof saved === 'object') {
+            this.latencyProfiles = saved;
+        }
+        
+        const offsetInput = document.getElementById('latencyOffsetInput');
+        [offsetInput.min, offsetInput.max] = this.latencyRange;
+        offsetInput.addEventListener('change', () => {
+            const [min, max] = this.latencyRange;
+            const v = parseInt(offsetInput.value);
+            if (isNaN(v) || v < min || v > max) {
+                alert(`Latency offset must be between ${min} and ${max} ms`);
+                this.updateLatencyPanel();
+                return;
+            }
+            this.setLatencyOffset(v);
+        });
+        document.getElementById('latencyCalibrateButton').addEventListener('click', () => this.calibrateLatency());
+        document.getElementById('latencyResetButton').addEventListener('click', () => {
+            delete this.latencyProfiles[this.outputDevice.id];
+            this.writeStorage(this.latencyStorageKey, this.latencyProfiles);
+            this.applyLatency();
+        });
+        
+        const pad = document.getElementById('calibrationTapButton');
+        pad.addEventListener('mousedown', (e) => this.calibrationTap(e.timeStamp));
+        pad.addEventListener('touchstart', (e) => {
+            e.preventDefault(); // Avoid the delayed mousedown, which would count twice
+            this.calibrationTap(e.timeStamp);
+        }, { passive: false });
+        
+        // Plugging in headphones or connecting Bluetooth switches to that device's profile
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.detectOutputDevice());
+        }
+        this.detectOutputDevice();
+    }
+    
+    // The page plays on the system default output unless the context was given a sink,
+    // so devices are told apart by the name the browser gives the default (where it
+    // gives one - some only do after microphone permission)
+    async detectOutputDevice() {
+        const sinkId = this.audioContext && typeof this.audioContext.sinkId === 'string' ? this.audioContext.sinkId : '';
+        let name = '';
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            const output = devices.find(device => device.kind === 'audiooutput' && device.deviceId === (sinkId || 'default'));
+            name = output ? output.label : '';
+        } catch (e) {
+            console.warn('Could not list audio outputs:', e);
+        }
+        
+        this.outputDevice = {
+            id: sinkId || (name ? `default:${name}` : 'default'),
+            name: name || 'Default output'
+        };
+        this.applyLatency();
+    }
+    
+    // Seconds the browser says a click takes from the audio clock to the speaker
+    getReportedLatency() {
+        if (!this.audioContext) return 0;
+        return (this.audioContext.baseLatency || 0) + (this.audioContext.outputLatency || 0);
+    }
+    
+    // Seconds from scheduling a click to hearing it on the current device
+    getOutputDelay() {
+        const profile = this.latencyProfiles[this.outputDevice.id];
+        return Math.max(0, this.getReportedLatency() + (profile ? profile.offset : 0) / 1000);
+    }
+    
+    applyLatency() {
+        this.engine.displayDelay = this.getOutputDelay();
+        this.updateLatencyPanel();
+    }
+    
+    setLatencyOffset(offset) {
+        this.latencyProfiles[this.outputDevice.id] = { name: this.outputDevice.name, offset };
+        this.writeStorage(this.latencyStorageKey, this.latencyProfiles);
+        this.applyLatency();
+    }
+    
+    // Plays calibrationClicks clicks to tap along to on the pad. How late the taps land,
+    // beyond what the browser reports, becomes the device's offset.
+    async calibrateLatency() {
+        if (this.isRunning) {
+            alert('Stop the metronome before calibrating.');
+            return;
+        }
+        if (this.calibration) return;
+        if (!this.audioContext) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+        await this.detectOutputDevice();
+        
+        const interval = 60 / this.calibrationBpm;
+        const start = this.audioContext.currentTime + 0.5;
+        const clicks = [];
+        for (let k = 0; k < this.calibrationClicks; k++) {
+            const time = start + k * interval;
+            this.playClick(k % 4 === 0 ? 'accent' : 'normal', time);
+            clicks.push(time);
+        }
+        this.calibration = { clicks, taps: [] };
+        this.updateLatencyPanel();
+        
+        // Half a beat after the last click, for a late final tap
+        const end = start + this.calibrationClicks * interval - interval / 2;
+        setTimeout(() => this.finishCalibration(), (end - this.audioContext.currentTime) * 1000);
+    }
+    
+    // `timeStamp` is the event's, so a busy page doesn't make the tap look late
+    calibrationTap(timeStamp) {
+        if (!this.calibration) return;
+        const time = this.audioContext.currentTime - (performance.now() - timeStamp) / 1000;
+        this.calibration.taps.push(time);
+        
+        const pad = document.getElementById('calibrationTapButton');
+        pad.classList.add('tapped');
+        setTimeout(() => pad.classList.remove('tapped'), 100);
+        this.updateLatencyPanel();
+    }
+    
+    finishCalibration() {
+        const { clicks, taps } = this.calibration;
+        this.calibration = null;
+        
+        // Each tap against the nearest click after the lead-in, up to half a beat away
+        const interval = 60 / this.calibrationBpm;
+        const measured = clicks.slice(this.calibrationLeadIn).map(time => ({ time }));
+        const offsets = [];
+        taps.forEach(tap => {
+            const idx = findNearestClick(measured, tap);
+            if (idx !== -1 && Math.abs(tap - measured[idx].time) < interval / 2) {
+                offsets.push(tap - measured[idx].time);
+            }
+        });
+        if (offsets.length < this.calibrationMinTaps) {
+            alert(`Not Enough Taps\n\nOnly ${offsets.length} taps landed near a click (at least ${this.calibrationMinTaps} are needed).\n\nPress Calibrate and tap the pad with every click you hear.`);
+            this.updateLatencyPanel();
+            return;
+        }
+        
+        // Mean of the taps near the median, so one stray tap doesn't pull it
+        const sorted = [...offsets].sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)];
+        const kept = offsets.filter(offset => Math.abs(offset - median) <= 0.05);
+        const mean = kept.reduce((sum, offset) => sum + offset, 0) / kept.length;
+        
+        const [min, max] = this.latencyRange;
+        const offset = Math.round((mean - this.getReportedLatency()) * 1000);
+        this.setLatencyOffset(Math.max(min, Math.min(max, offset)));
+    }
+    
+    updateLatencyPanel() {
+        const profile = this.latencyProfiles[this.outputDevice.id];
+        const calibrating = this.calibration !== null;
+        document.getElementById('latencyDevice').textContent = this.outputDevice.name;
+        document.getElementById('latencyOffsetInput').value = profile ? profile.offset : 0;
+        document.getElementById('latencyCalibrateButton').disabled = calibrating;
+        document.getElementById('calibrationTapButton').disabled = !calibrating;
+        // MIDI and keyboard starts are refused by start() itself
+        document.getElementById('startStopButton').disabled = calibrating;
+        document.getElementById('stageStartButton').disabled = calibrating;
+        
+        const status = document.getElementById('latencyStatus');
+        if (calibrating) {
+            const taps = this.calibration.taps.length;
+            status.textContent = `Listen to the first ${this.calibrationLeadIn} clicks, then tap the pad with every click you hear (${taps} tap${taps === 1 ? '' : 's'})`;
+            return;
+        }
+        const reported = Math.round(this.getReportedLatency() * 1000);
+        const calibrated = profile ? `${profile.offset >= 0 ? '+' : ''}${profile.offset} ms calibrated` : 'not calibrated';
+        status.textContent = `Display follows the sound by ${Math.round(this.getOutputDelay() * 1000)} ms ` +
+            `(${reported} ms reported by the browser, ${calibrated})`;
+    }
+    
+    // ==================================
+    // Stage View
+    
+    initStage() {
+        const saved = this.readStorage(this.stageStorageKey);
+        if (saved) {
+            this.stageSettings = { ...this.stageSettings, ...saved };
+        }
+        
+        document.getElementById('stageButton').addEventListener('click', () => this.openStage());
+        document.getElementById('stageCloseButton').addEventListener('click', () => this.closeStage());
+        document.getElementById('stageStartButton').addEventListener('click', () => this.toggleMetronome());
+        
+        const motionSelect = document.getElementById('stageMotionSelect');
+        motionSelect.value = this.stageSettings.motion;
+        motionSelect.addEventListener('change', () => {
+            this.stageSettings.motion = motionSelect.value;
+            this.writeStorage(this.stageStorageKey, this.stageSettings);
+            this.updateStage();
+        });
+        const vibrateSelect = document.getElementById('stageVibrateSelect');
+        vibrateSelect.value = this.stageSettings.vibrate ? 'on' : 'off';
+        vibrateSelect.disabled = !navigator.vibrate; // Not on iOS
+        vibrateSelect.addEventListener('change', () => {
+            this.stageSettings.vibrate = vibrateSelect.value === 'on';
+            this.writeStorage(this.stageStorageKey, this.stageSettings);
+        });
+        const soundSelect = document.getElementById('stageSoundSelect');
+        soundSelect.value = this.stageSettings.muted ? 'muted' : 'on';
+        soundSelect.addEventListener('change', () => {
+            this.stageSettings.muted = soundSelect.value === 'muted';
+            this.writeStorage(this.stageStorageKey, this.stageSettings);
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.stageOpen) {
+                this.closeStage();
+            }
+        });
+        // Leaving full screen from the browser's own controls closes the stage as well
+        document.addEventListener('fullscreenchange', () => {
+            if (!document.fullscreenElement && this.stageOpen) {
+                this.closeStage();
+            }
+        });
+    }
+    
+    openStage() {
+        const view = document.getElementById('stageView');
+        view.hidden = false;
+        this.stageOpen = true;
+        if (view.requestFullscreen) {
+            // iPhones have no full screen for pages - the view still covers the whole window
+            view.requestFullscreen().catch(e => console.warn('Full screen unavailable:', e.message || e));
+        }
+        this.updateStage();
+        this.drawStage();
+    }
+    
+    closeStage() {
+        this.stageOpen = false;
+        document.getElementById('stageView').hidden = true;
+        if (document.fullscreenElement) {
+            document.exitFullscreen();
+        }
+        if (this.stageFrame !== null) {
+            cancelAnimationFrame(this.stageFrame);
+            this.stageFrame = null;
+        }
+    }
+    
+    // The sound is only muted while the stage is there to take its place
+    isStageMuted() {
+        return this.stageOpen && this.stageSettings.muted;
+    }
+    
+    // Tempo, counter and controls; the flash is left to showStageBeat()
+    updateStage() {
+        if (!this.stageOpen) return;
+        document.getElementById('stageStartButton').textContent = this.isRunning ? 'STOP' : 'START';
+        document.getElementById('stageCanvas').hidden = this.stageSettings.motion === 'flash';
+        
+        const beat = this.stageBeat;
+        const bpm = document.getElementById('stageBpm');
+        const counter = document.getElementById('stageBar');
+        const section = document.getElementById('stageSection');
+        if (!beat) {
+            const segment = this.tempoSegments[0];
+            bpm.textContent = Math.round(segment ? segment.start : this.knobs.startBpm);
+            counter.textContent = this.isRunning ? 'GET READY' : 'READY';
+            section.textContent = '';
+            return;
+        }
+        
+        const loop = this.runMode === 'normal' ? '' : this.getLoopLabel(beat.pass);
+        bpm.textContent = Math.round(beat.tempo);
+        section.textContent = `${this.getSectionLabel(beat)}${loop ? ` · ${loop}` : ''}`;
+        if (this.isPaused) {
+            counter.textContent = 'PAUSED';
+        } else if (beat.isCountIn) {
+            counter.textContent = `COUNT-IN ${beat.beatInBar}/${beat.meter.beats}`;
+        } else {
+            const bar = Math.floor(beat.segmentBeat / beat.meter.beats) + 1;
+            counter.textContent = `BAR ${bar} · ${beat.beatInBar}/${beat.meter.beats}`;
+        }
+    }
+    
+    // Shows a beat on the stage as it is heard - called with the same 'beat' events as
+    // updateBeatDisplay(). The flash and the buzz stand in for the click, so beats the
+    // click leaves out (muted, or silenced by the trainer) get neither.
+    showStageBeat(beat) {
+        this.stageBeat = beat;
+        this.stageBeatCount++;
+        if (!this.stageOpen) return;
+        this.updateStage();
+        if (beat.state === 'muted' || beat.silenced) return;
+        
+        const accent = beat.state === 'accent';
+        const flash = document.getElementById('stageFlash');
+        flash.style.background = accent ? '#FFD700' : '#FFFFFF';
+        flash.animate([{ opacity: accent ? 1 : 0.8 }, { opacity: 0 }], {
+            duration: Math.min(200, beat.duration * 500),
+            easing: 'ease-out'
+        });
+        if (this.stageSettings.vibrate && navigator.vibrate) {
+            navigator.vibrate(accent ? this.stageVibration.accent : this.stageVibration.normal);
+        }
+    }
+    
+    // Draws the pendulum or the ball once a frame while the stage is open. Both follow
+    // the audio clock rather than the timers, so they arrive exactly on the heard click.
+    drawStage() {
+        this.stageFrame = requestAnimationFrame(() => this.drawStage());
+        if (this.stageSettings.motion === 'flash') return;
+        
+        const canvas = document.getElementById('stageCanvas');
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        ctx.clearRect(0, 0, width, height);
+        
+        // How far the ear is into the current beat, 0-1; at rest while stopped or paused
+        const beat = this.isRunning && !this.isPaused ? this.stageBeat : null;
+        let phase = 0;
+        if (beat) {
+            const heard = this.audioContext.currentTime - this.engine.displayDelay;
+            phase = Math.max(0, Math.min(1, (heard - beat.time) / beat.duration));
+        }
+        
+        if (this.stageSettings.motion === 'pendulum') {
+            // Swings across once per beat and reaches the end of its swing on the click
+            const side = this.stageBeatCount % 2 === 0 ? -1 : 1;
+            const angle = beat ? side * 0.5 * Math.cos(Math.PI * phase) : 0;
+            const pivotX = width / 2;
+            const pivotY = height - 10;
+            const length = height - 40;
+            const x = pivotX + length * Math.sin(angle);
+            const y = pivotY - length * Math.cos(angle);
+            ctx.strokeStyle = '#CCCCCC';
+            ctx.lineWidth = 6;
+            ctx.beginPath();
+            ctx.moveTo(pivotX, pivotY);
+            ctx.lineTo(x, y);
+            ctx.stroke();
+            ctx.fillStyle = '#FFD700';
+            ctx.beginPath();
+            ctx.arc(x, y, 20, 0, Math.PI * 2);
+            ctx.fill();
+            return;
+        }
+        
+        // Bouncing ball: hops from the dot of one beat to the next, landing on the click
+        const meter = beat ? beat.meter : this.getMeter();
+        const segment = beat ? (this.runMode === 'complex' ? beat.meter : null) : this.getDisplayedSegment();
+        const from = beat ? beat.beatInBar - 1 : 0;
+        const lit = beat !== null && !(beat.silenced && beat.meter.trainerHide); // Like the dots on the beat canvas
+        const to = (from + 1) % meter.beats;
+        const margin = 30;
+        const dotX = (i) => (meter.beats > 1 ? margin + i * (width - 2 * margin) / (meter.beats - 1) : width / 2);
+        const floor = height - 20;
+        const dotRadius = Math.min(12, (width - 2 * margin) / meter.beats * 0.3);
+        for (let i = 0; i < meter.beats; i++) {
+            this.drawBeatDot(ctx, dotX(i), floor, dotRadius, this.getBeatState(i + 1, segment), lit && i === from);
+        }
+        const x = dotX(from) + (dotX(to) - dotX(from)) * phase;
+        const y = floor - dotRadius - 16 - (height - 80) * 4 * phase * (1 - phase);
+        ctx.fillStyle = '#FFD700';
+        ctx.beginPath();
+        ctx.arc(x, y, 16, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    
+    // ==================================
+    // Timing analysis
+    
+    initAnalysis() {
+        const micSelect = document.getElementById('analysisMicSelect');
+        micSelect.addEventListener('change', async () => {
+            if (micSelect.value === 'on') {
+                await this.openMicrophone();
+            } else {
+                this.closeMicrophone();
+            }
+            this.updateAnalysisPanel();
+        });
+        
+        const fileInput = document.getElementById('analysisFile');
+        document.getElementById('analysisFileButton').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Allow analyzing the same file twice
+            if (file) this.analyzeFile(file);
+        });
+        const alignSelect = document.getElementById('analysisAlignSelect');
+        alignSelect.addEventListener('change', () => {
+            document.getElementById('analysisBeatOneInput').disabled = alignSelect.value !== 'time';
+        });
+        document.getElementById('analysisClearButton').addEventListener('click', () => {
+            this.analysisClicks = [];
+            this.analysisOffsets = [];
+            this.updateTimingMarks();
+            this.updateAnalysisPanel();
+            this.updateBeatDisplay();
+        });
+        
+        this.updateAnalysisPanel();
+    }
+    
+    // The browser's echo cancellation, noise suppression and gain control are switched
+    // off, since they smear the attacks the detector listens for
+    async openMicrophone() {
+        if (!this.audioContext) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        
+        let stream = null;
+        try {
+            if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia || !this.audioContext.audioWorklet) {
+                throw new Error('this browser can\'t record here (pages opened from a file need to be served over http)');
+            }
+            stream = await navigator.mediaDevices.getUserMedia({
+                audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+            });
+            await this.audioContext.audioWorklet.addModule('recorder-worklet.js');
+            const source = this.audioContext.createMediaStreamSource(stream);
+            const node = new AudioWorkletNode(this.audioContext, 'dynamic-metronome-recorder', { numberOfOutputs: 0 });
+            node.port.onmessage = (e) => this.analyzeMicrophoneBlock(e.data);
+            source.connect(node);
+            // Input latency where the browser reports it: audio reaches the worklet this much late
+            const inputLatency = stream.getAudioTracks()[0].getSettings().latency || 0;
+            this.recorder = { stream, source, node, inputLatency };
+        } catch (e) {
+            if (stream) {
+                stream.getTracks().forEach(track => track.stop());
+            }
+            alert(`Microphone Unavailable\n\nThe microphone could not be opened (${e.message || e}).\n\nYou can still analyze a recording with Analyze File.`);
+        }
+        
+        // Turned on during a run: measure from here on
+        if (this.recorder && this.isRunning) {
+            this.beginAnalysis();
+        }
+    }
+    
+    closeMicrophone() {
+        if (!this.recorder) return;
+        const { stream, source, node } = this.recorder;
+        node.port.onmessage = null;
+        source.disconnect();
+        stream.getTracks().forEach(track => track.stop());
+        this.recorder = null;
+        this.onsetDetector = null;
+    }
+    
+    beginAnalysis() {
+        if (!this.recorder) return;
+        this.onsetDetector = new OnsetDetector(this.audioContext.sampleRate);
+        this.analysisClicks = [];
+        this.analysisOffsets = [];
+        this.updateTimingMarks();
+        this.updateAnalysisPanel();
+    }
+    
+    // The results stay up (and on the beat canvas) until the next run
+    endAnalysis() {
+        if (!this.onsetDetector) return;
+        this.onsetDetector = null;
+        this.updateAnalysisPanel();
+    }
+    
+    // Every played beat is measured, including the ones the trainer silences -
+    // keeping time through them is the point. The count-in isn't. Notes are played
+    // to the click as heard, so it is measured at the time it reaches the ear.
+    recordAnalysisClick(beat) {
+        if (!this.onsetDetector || beat.isCountIn) return;
+        const click = this.toAnalysisClick(beat);
+        click.time += this.engine.displayDelay;
+        this.analysisClicks.push(click);
+    }
+    
+    // Clicks cut off before they sounded aren't measured either
+    dropAnalysisClicks(fromTime) {
+        const kept = this.analysisClicks.filter(click => click.time < fromTime + this.engine.displayDelay);
+        this.analysisOffsets = this.analysisOffsets.slice(0, kept.length);
+        this.analysisClicks = kept;
+    }
+    
+    // A beat as a click to measure against, grouped into tempo steps (see summarizeSteps())
+    toAnalysisClick(beat) {
+        const tempo = Math.round(beat.tempo);
+        const label = [
+            this.tempoSegments.length > 0 ? `Segment ${beat.segmentIndex + 1}` : '',
+            `${tempo} BPM`,
+            this.getLoopLabel(beat.pass)
+        ].filter(Boolean).join(' · ');
+        return {
+            time: beat.time,
+            duration: beat.duration,
+            beatInBar: beat.beatInBar,
+            step: `${beat.pass}:${beat.segmentIndex}:${tempo}`,
+            label
+        };
+    }
+    
+    analyzeMicrophoneBlock({ time, samples }) {
+        if (!this.onsetDetector || this.isPaused) return;
+        const onsets = this.onsetDetector.push(samples, time - this.recorder.inputLatency);
+        if (onsets.length === 0) return;
+        this.analysisOffsets = matchOnsets(onsets, this.analysisClicks, this.analysisOffsets);
+        this.updateTimingMarks();
+    }
+    
+    // A recording made along with the current settings (e.g. to a Render WAV click track).
+    // Beat 1 after the count-in is lined up with the first note played, or with the time
+    // set in the panel; the count-in itself isn't analyzed.
+    async analyzeFile(file) {
+        if (this.isRunning) {
+            alert('Stop the metronome before analyzing a recording.');
+            return;
+        }
+        if (this.tempoSegments.length === 0 && this.knobs.startBpm !== this.knobs.endBpm &&
+            this.needsIncrement(this.knobs.increment, this.knobs.curve)) {
+            alert('BPM Increment Required\n\nStart and End BPM parameters are different.\n\nSet a BPM increment so the ramp the recording follows can be worked out.');
+            return;
+        }
+        if (!this.audioContext) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        
+        let buffer;
+        try {
+            buffer = await this.audioContext.decodeAudioData(await file.arrayBuffer());
+        } catch (e) {
+            alert(`Could Not Analyze Recording\n\n"${file.name}" could not be decoded (${e.message || e}).`);
+            return;
+        }
+        
+        // Mixed down to mono
+        const samples = new Float32Array(buffer.length);
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            const channel = buffer.getChannelData(c);
+            for (let i = 0; i < buffer.length; i++) {
+                samples[i] += channel[i] / buffer.numberOfChannels;
+            }
+        }
+        
+        const onsets = detectOnsets(samples, buffer.sampleRate);
+        const align = this.getAnalysisAlignment();
+        if (align.firstNote && onsets.length === 0) {
+            alert(`Could Not Analyze Recording\n\nNo notes were found in "${file.name}" to line beat 1 up with.`);
+            return;
+        }
+        
+        this.analysisClicks = this.getFileClicks(buffer.duration, align.firstNote ? onsets[0] : align.time);
+        this.analysisOffsets = matchOnsets(onsets, this.analysisClicks);
+        this.updateTimingMarks();
+        this.updateAnalysisPanel();
+        this.updateBeatDisplay();
+    }
+    
+    // { firstNote, time }: whether beat 1 of a recording is its first note, or else
+    // at `time` seconds
+    getAnalysisAlignment() {
+        const time = parseFloat(document.getElementById('analysisBeatOneInput').value);
+        return {
+            firstNote: document.getElementById('analysisAlignSelect').value === 'onset',
+            time: Number.isFinite(time) ? Math.max(0, time) : 0
+        };
+    }
+    
+    // The clicks of the current settings up to `duration` seconds, beat 1 (after the
+    // count-in) at `beatOne` seconds
+    getFileClicks(duration, beatOne) {
+        let time = beatOne;
+        const clicks = [];
+        for (const beat of generateBeats(this.getRoutine(), { countIn: false })) {
+            if (time >= duration) break;
+            clicks.push(this.toAnalysisClick({ ...beat, time }));
+            time += beat.duration;
+        }
+        return clicks;
+    }
+    
+    // The last offset played on every beat of the bar
+    updateTimingMarks() {
+        this.timingMarks = new Map();
+        this.analysisOffsets.forEach((offset, idx) => {
+            if (offset === null) return;
+            const click = this.analysisClicks[idx];
+            this.timingMarks.set(click.beatInBar, { offset, fraction: offset / click.duration });
+        });
+    }
+    
+    // "+12 ms" (late) or "-8 ms" (early)
+    formatOffset(seconds) {
+        const ms = Math.round(seconds * 1000);
+        return `${ms > 0 ? '+' : ''}${ms} ms`;
+    }
+    
+    updateAnalysisPanel() {
+        document.getElementById('analysisMicSelect').value = this.recorder ? 'on' : 'off';
+        const status = document.getElementById('analysisStatus');
+        const list = document.getElementById('analysisSteps');
+        list.innerHTML = '';
+        
+        if (this.analysisClicks.length === 0) {
+            status.textContent = this.recorder
+                ? 'Listening. Start the metronome and play along.'
+                : 'Turn the microphone on and play along, or analyze a recording.';
+            return;
+        }
+        
+        const total = summarizeOffsets(this.analysisOffsets);
+        status.textContent = `${total.count} of ${this.analysisClicks.length} clicks played. ` +
+            `Overall ${this.formatOffset(total.mean)} ±${Math.round(total.spread * 1000)} ms, ${total.tendency}`;
+        summarizeSteps(this.analysisClicks, this.analysisOffsets).forEach(step => {
+            const div = document.createElement('div');
+            div.textContent = step.count === 0
+                ? `${step.label}: not played`
+                : `${step.label}: ${this.formatOffset(step.mean)} ±${Math.round(step.spread * 1000)} ms, ` +
+                    `${step.tendency} (${step.count}/${step.clicks})`;
+            list.appendChild(div);
+        });
+    }
+    
+    // ==================================
+    // WAV render
+    
+    initRender() {
+        document.getElementById('renderButton').addEventListener('click', () => this.renderClickTrack());
+    }
+    
+    getRenderOptions() {
+        return {
+            sampleRate: parseInt(document.getElementById('renderSampleRateSelect').value),
+            bitDepth: parseInt(document.getElementById('renderBitDepthSelect').value),
+            preRoll: document.getElementById('renderPreRollSelect').value === 'on',
+            markers: document.getElementById('renderMarkersSelect').value === 'on'
+        };
+    }
+    
+    // Plays the ramp routine into an OfflineAudioContext through the same voices and
+    // mixer as live playback. The result is exactly calculateTotalTime() long
+    // (minus the pre-roll when it is skipped). Resolves with { buffer, cues }.
+    async renderRoutineAudio(options) {
+        const skipped = options.preRoll ? 0 : this.preRollTime;
+        const length = Math.round((calculateTotalTime(this.getRoutine()) - skipped) * options.sampleRate);
+        const ctx = new OfflineAudioContext(1, length, options.sampleRate);
+        const output = ctx.createGain();
+        output.gain.value = this.mixer.master / 100;
+        output.connect(ctx.destination);
+        
+        const cues = [];
+        let lastSegment = null;
+        let lastTempo = null;
+        getRampTimeline(this.getRoutine()).forEach(beat => {
+            const when = beat.time - skipped;
+            this.playClick(beat.state, when, output);
+            if (!beat.isCountIn && beat.state !== 'muted') {
+                this.scheduleSubdivisions(when, beat.duration, beat.meter.subdivision, beat.meter.swing, output);
+            }
+            this.schedulePolyPulses(beat, when, output);
+            
+            // A marker where each segment starts and wherever the shown BPM changes
+            const tempo = Math.round(beat.tempo);
+            const sample = Math.round(when * options.sampleRate);
+            if (beat.segmentIndex !== lastSegment) {
+                lastSegment = beat.segmentIndex;
+                lastTempo = tempo;
+                const label = beat.isCountIn ? 'Count-in'
+                    : this.tempoSegments.length > 0 ? `Segment ${beat.segmentIndex + 1}: ${tempo} BPM`
+                    : `Ramp: ${tempo} BPM`;
+                cues.push({ sample, label });
+            } else if (tempo !== lastTempo) {
+                lastTempo = tempo;
+                cues.push({ sample, label: `${tempo} BPM` });
+            }
+        });
+        
+        const buffer = await ctx.startRendering();
+        return { buffer, cues };
+    }
+    
+    async renderClickTrack() {
+        if (this.tempoSegments.length === 0 && this.knobs.startBpm === this.knobs.endBpm) {
+            alert('Nothing to Render\n\nNormal mode plays until you stop it.\n\nSet different Start and End BPM for a ramp, or save some segments, then render again.');
+            return;
+        }
+        if (this.repeat.count === 0) {
+            alert('Nothing to Render\n\nThe routine repeats forever.\n\nChoose a number of repeats, then render again.');
+            return;
+        }
+        if (this.tempoSegments.length === 0 && this.needsIncrement(this.knobs.increment, this.knobs.curve)) {
+            alert('BPM Increment Required\n\nStart and End BPM parameters are different.\n\nSet a BPM increment before rendering the ramp.');
+            return;
+        }
+        
+        const options = this.getRenderOptions();
+        const button = document.getElementById('renderButton');
+        const status = document.getElementById('renderStatus');
+        button.disabled = true;
+        status.textContent = `Rendering ${this.formatTime(calculateTotalTime(this.getRoutine()))}…`;
+        
+        try {
+            const { buffer, cues } = await this.renderRoutineAudio(options);
+            const wav = encodeWav([buffer.getChannelData(0)], options.sampleRate, {
+                bitDepth: options.bitDepth,
+                cues: options.markers ? cues : []
+            });
+            this.downloadFile(new Blob([wav], { type: 'audio/wav' }), `${this.getFileName(this.currentRoutineName)}.wav`);
+            status.textContent = 'Done.';
+        } catch (e) {
+            status.textContent = '';
+            alert(`Render Failed\n\n${e.message || e}`);
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
+    // ==================================
+    // MIDI
+    
+    initMidi() {
+        const saved = this.readStorage(this.midiStorageKey);
+        if (saved) {
+            this.midiSettings = { ...this.midiSettings, ...saved };
+        }
+        this.midi.setMappings(this.midiSettings.mappings);
+        
+        const status = document.getElementById('midiStatus');
+        if (!this.midi.isSupported()) {
+            status.textContent = 'Web MIDI is not available in this browser.';
+            document.querySelectorAll('#midiPanel button, #midiPanel select').forEach(el => { el.disabled = true; });
+            return;
+        }
+        
+        document.getElementById('midiConnectButton').addEventListener('click', () => this.connectMidi());
+        document.getElementById('midiOutputSelect').addEventListener('change', (e) => {
+            this.midiSettings.outputId = e.target.value;
+            this.midi.selectOutput(e.target.value);
+            this.saveMidiSettings();
+        });
+        document.getElementById('midiInputSelect').addEventListener('change', (e) => {
+            this.midiSettings.inputId = e.target.value;
+            this.midi.selectInput(e.target.value);
+            this.saveMidiSettings();
+        });
+        document.getElementById('midiClockOutSelect').addEventListener('change', (e) => {
+            this.midiSettings.clockOut = e.target.value === 'on';
+            this.saveMidiSettings();
+        });
+        document.getElementById('midiSyncSelect').addEventListener('change', (e) => {
+            this.midiSettings.sync = e.target.value === 'on';
+            this.saveMidiSettings();
+        });
+        document.getElementById('midiLearnButton').addEventListener('click', () => {
+            const button = document.getElementById('midiLearnButton');
+            if (this.midi.learnAction) {
+                this.midi.learn(null);
+                button.textContent = 'Learn';
+            } else {
+                this.midi.learn(document.getElementById('midiActionSelect').value);
+                button.textContent = 'Move a control…';
+            }
+        });
+        document.getElementById('midiClearMappingsButton').addEventListener('click', () => {
+            if (this.midiSettings.mappings.length === 0) return;
+            if (!confirm('Clear all MIDI mappings?')) return;
+            this.midiSettings.mappings = [];
+            this.midi.setMappings([]);
+            this.saveMidiSettings();
+            this.updateMidiMappings();
+        });
+        
+        this.midi.on('ports', () => this.updateMidiPorts());
+        this.midi.on('tempo', (bpm) => {
+            if (this.midiSettings.sync) {
+                status.textContent = `Following MIDI clock at ${bpm} BPM.`;
+            }
+        });
+        // Start and Continue take effect on the master's next beat (see followMidiClock())
+        this.midi.on('start', () => {
+            if (!this.midiSettings.sync) return;
+            if (this.isRunning) this.stop();
+            this.midiSyncPending = true;
+        });
+        this.midi.on('continue', () => {
+            if (!this.midiSettings.sync) return;
+            if (this.isRunning) this.stop();
+            this.midiSyncPending = true;
+        });
+        this.midi.on('stop', () => {
+            this.midiSyncPending = false;
+            if (this.midiSettings.sync && this.isRunning) this.stop();
+        });
+        this.midi.on('clock', ({ pulse, timeStamp }) => this.followMidiClock(pulse, timeStamp));
+        this.midi.on('action', ({ action, value }) => this.handleMidiAction(action, value));
+        this.midi.on('learned', (mapping) => {
+            this.midiSettings.mappings = this.midi.mappings.slice();
+            this.saveMidiSettings();
+            this.updateMidiMappings();
+            document.getElementById('midiLearnButton').textContent = 'Learn';
+        });
+        
+        this.updateMidiControls();
+        this.updateMidiMappings();
+    }
+    
+    async connectMidi() {
+        const status = document.getElementById('midiStatus');
+        try {
+            await this.midi.connect();
+            status.textContent = 'Connected.';
+        } catch (e) {
+            status.textContent = 'MIDI access was refused.';
+            alert(`MIDI Unavailable\n\n${e.message || e}`);
+        }
+    }
+    
+    saveMidiSettings() {
+        this.writeStorage(this.midiStorageKey, this.midiSettings);
+    }
+    
+    updateMidiControls() {
+        document.getElementById('midiClockOutSelect').value = this.midiSettings.clockOut ? 'on' : 'off';
+        document.getElementById('midiSyncSelect').value = this.midiSettings.sync ? 'on' : 'off';
+    }
+    
+    updateMidiPorts() {
+        const fill = (select, ports, selectedId) => {
+            select.innerHTML = '';
+            const none = document.createElement('option');
+            none.value = '';
+            none.textContent = 'NONE';
+            select.appendChild(none);
+            ports.forEach(port => {
+                const option = document.createElement('option');
+                option.value = port.id;
+                option.textContent = port.name;
+                select.appendChild(option);
+            });
+            select.value = ports.some(port => port.id === selectedId) ? selectedId : '';
+        };
+        
+        fill(document.getElementById('midiOutputSelect'), this.midi.getOutputs(), this.midiSettings.outputId);
+        fill(document.getElementById('midiInputSelect'), this.midi.getInputs(), this.midiSettings.inputId);
+        this.midi.selectOutput(this.midiSettings.outputId);
+        this.midi.selectInput(this.midiSettings.inputId);
+    }
+    
+    updateMidiMappings() {
+        const list = document.getElementById('midiMappings');
+        list.innerHTML = '';
+        
+        if (this.midiSettings.mappings.length === 0) {
+            list.textContent = 'No mappings.';
+            return;
+        }
+        
+        const actionSelect = document.getElementById('midiActionSelect');
+        this.midiSettings.mappings.forEach(mapping => {
+            const option = [...actionSelect.options].find(opt => opt.value === mapping.action);
+            const div = document.createElement('div');
+            const source = mapping.type === 'cc' ? `CC ${mapping.number}` : `Note ${mapping.number}`;
+            div.textContent = `${source} (ch ${mapping.channel + 1}) → ${option ? option.textContent : mapping.action}`;
+            list.appendChild(div);
+        });
+    }
+    
+    handleMidiAction(action, value) {
+        const [minBpm, maxBpm] = this.knobRanges.startBpm;
+        
+        if (action === 'toggle') {
+            this.toggleMetronome();
+        } else if (action === 'start') {
+            if (this.isPaused) {
+                this.resume();
+            } else if (!this.isRunning) {
+                this.start();
+            }
+        } else if (action === 'pause') {
+            this.togglePause();
+        } else if (action === 'next-segment') {
+            this.skipSegment(1);
+        } else if (action === 'previous-segment') {
+            this.skipSegment(-1);
+        } else if (action === 'restart-step') {
+            this.restartStep();
+        } else if (action === 'stop') {
+            if (this.isRunning) this.stop();
+        } else if (action === 'tap') {
+            this.tap();
+        } else if (action === 'tempo') {
+            const [low, high] = this.midiTempoCcRange;
+            this.knobControls.startBpm.change(low + (high - low) * value / 127);
+        } else if (action === 'tempo-up') {
+            this.knobControls.startBpm.change(Math.min(maxBpm, this.knobs.startBpm + 1));
+        } else if (action === 'tempo-down') {
+            this.knobControls.startBpm.change(Math.max(minBpm, this.knobs.startBpm - 1));
+        }
+    }
+    
+    // Converts an AudioContext time (seconds) to the performance.now() timeline MIDI uses (ms)
+    audioTimeToMidiTime(when) {
+        return performance.now() + (when - this.audioContext.currentTime) * 1000;
+    }
+    
+    // And a MIDI timestamp (ms) back to AudioContext time (seconds)
+    midiTimeToAudioTime(timeStamp) {
+        return this.audioContext.currentTime + (timeStamp - performance.now()) / 1000;
+    }
+    
+    // Follow Clock: the metronome starts on the master's first beat after its Start or
+    // Continue, in the same place in the bar. After that, every beat of the master puts
+    // the next beat not yet scheduled back in line with it, so the two can't drift apart.
+    followMidiClock(pulse, timeStamp) {
+        if (!this.midiSettings.sync) return;
+        const meter = this.getKnobSegment();
+        const pulsesPerBeat = this.midi.getPulsesPerBeat(meter.beatUnit);
+        if (pulse % pulsesPerBeat !== 0) return;
+        const beat = pulse / pulsesPerBeat; // The master's beat that falls on this pulse
+        
+        if (this.midiSyncPending) {
+            this.midiSyncPending = false;
+            this.start({ beat, timeStamp });
+            return;
+        }
+        if (!this.midiSync || !this.isRunning) return;
+        const ahead = this.midiSync.beats - beat; // Beats scheduled since the one on this pulse
+        const duration = getBeatDuration(this.getSyncTempo(meter), meter);
+        this.engine.retime(this.midiTimeToAudioTime(timeStamp) + ahead * duration);
+    }
+    
+    // Tempo, in the meter's own BPM, at which one beat lasts as long as its clock pulses
+    // from the master (the knobs' tempo until a quarter note of clock has been measured).
+    // getBeatDuration(60, meter) is 1 unless the BPM counts another note than the beat.
+    getSyncTempo(meter) {
+        if (!this.midi.clockInterval) return this.currentTempo;
+        const duration = this.midi.getPulsesPerBeat(meter.beatUnit) * this.midi.clockInterval / 1000;
+        return 60 / duration * getBeatDuration(60, meter);
+    }
+    
+    // MIDI clock for one scheduled beat; Start (or Continue, after a pause) goes out
+    // with the first beat after the count-in
+    sendMidiBeat(when, duration, meter, isCountIn = false) {
+        if (!this.midiSettings.clockOut || !this.midi.output) return;
+        
+        const timestamp = this.audioTimeToMidiTime(when);
+        if (!isCountIn && this.midiStartPending) {
+            if (this.midiContinue) {
+                this.midi.sendContinue(timestamp);
+            } else {
+                this.midi.sendStart(timestamp);
+            }
+            this.midiStartPending = false;
+            this.midiContinue = false;
+        }
+        this.midi.sendBeatClock(timestamp, duration * 1000, meter.beatUnit);
+    }
+    
+    stopMidiClock() {
+        this.midiStartPending = false;
+        this.midiContinue = false;
+        if (!this.midiSettings.clockOut || !this.midi.output) return;
+        this.midi.clear();
+        this.midi.sendStop(performance.now());
+    }
+    
+    // ==================================
+    // Routine library
+    
+    initRoutineLibrary() {
+        document.getElementById('routineSaveButton').addEventListener('click', () => this.saveRoutine());
+        document.getElementById('routineLoadButton').addEventListener('click', () => this.loadRoutine());
+        document.getElementById('routineRenameButton').addEventListener('click', () => this.renameRoutine());
+        document.getElementById('routineDuplicateButton').addEventListener('click', () => this.duplicateRoutine());
+        document.getElementById('routineDeleteButton').addEventListener('click', () => this.deleteRoutine());
+        this.updateRoutineSelect();
+    }
+    
+    updateRoutineSelect() {
+        const select = document.getElementById('routineSelect');
+        select.innerHTML = '';
+        
+        if (this.routines.length === 0) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = '(no saved routines)';
+            select.appendChild(option);
+            return;
+        }
+        
+        this.routines.forEach((routine, idx) => {
+            const option = document.createElement('option');
+            option.value = idx;
+            option.textContent = routine.name;
+            if (routine.name === this.currentRoutineName) {
+                option.selected = true;
+            }
+            select.appendChild(option);
+        });
+    }
+    
+    getSelectedRoutineIndex() {
+        const value = document.getElementById('routineSelect').value;
+        if (value === '' || !this.routines[value]) {
+            alert('No routine selected.');
+            return -1;
+        }
+        return parseInt(value);
+    }
+    
+    findRoutineIndex(name) {
+        return this.routines.findIndex(r => r.name === name);
+    }
+    
+    promptRoutineName(message, defaultName) {
+        const input = prompt(message, defaultName || '');
+        if (input === null) return null;
+        
+        const name = input.trim();
+        if (name === '') {
+            alert('Routine name cannot be empty.');
+            return null;
+        }
+        return name;
+    }
+    
+    storeRoutines() {
+        this.writeStorage(this.routinesStorageKey, this.routines);
+        this.updateRoutineSelect();
+    }
+    
+    saveRoutine() {
+        const name = this.promptRoutineName('Save current routine as:', this.currentRoutineName);
+        if (name === null) return;
+        
+        const routine = this.snapshotRoutine(name);
+        const existing = this.findRoutineIndex(name);
+        if (existing !== -1) {
+            if (!confirm(`Replace the saved routine "${name}"?`)) return;
+            this.routines[existing] = routine;
+        } else {
+            this.routines.push(routine);
+        }
+        
+        this.currentRoutineName = name;
+        this.storeRoutines();
+        this.saveState();
+    }
+    
+    loadRoutine() {
+        if (this.isRunning) {
+            alert('Stop the metronome before loading a routine.');
+            return;
+        }
+        
+        const idx = this.getSelectedRoutineIndex();
+        if (idx === -1) return;
+        
+        const routine = this.routines[idx];
+        this.applyRoutine(routine);
+        this.currentRoutineName = routine.name;
+        this.refreshControls();
+        this.saveState();
+    }
+    
+    renameRoutine() {
+        const idx = this.getSelectedRoutineIndex();
+        if (idx === -1) return;
+        
+        const oldName = this.routines[idx].name;
+        const name = this.promptRoutineName('Rename routine to:', oldName);
+        if (name === null || name === oldName) return;
+        
+        if (this.findRoutineIndex(name) !== -1) {
+            alert(`A routine named "${name}" already exists.`);
+            return;
+        }
+        
+        this.routines[idx].name = name;
+        if (this.currentRoutineName === oldName) {
+            this.currentRoutineName = name;
+            this.saveState();
+        }
+        this.storeRoutines();
+    }
+    
+    duplicateRoutine() {
+        const idx = this.getSelectedRoutineIndex();
+        if (idx === -1) return;
+        
+        const source = this.routines[idx];
+        let name = `${source.name} (copy)`;
+        let n = 2;
+        while (this.findRoutineIndex(name) !== -1) {
+            name = `${source.name} (copy ${n++})`;
+        }
+        
+        // Deep copy so editing one routine never touches the other
+        const copy = JSON.parse(JSON.stringify(source));
+        copy.name = name;
+        this.routines.splice(idx + 1, 0, copy);
+        this.storeRoutines();
+    }
+    
+    deleteRoutine() {
+        const idx = this.getSelectedRoutineIndex();
+        if (idx === -1) return;
+        
+        const name = this.routines[idx].name;
+        if (!confirm(`Delete the saved routine "${name}"?`)) return;
+        
+        this.routines.splice(idx, 1);
+        if (this.currentRoutineName === name) {
+            this.currentRoutineName = null;
+            this.saveState();
+        }
+        this.storeRoutines();
     }
 }
 
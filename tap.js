@@ -0,0 +1,43 @@
+/**
+ * Dynamic Metronome - Tap tempo
+ * Copyright (c) 2025 Pierangelo Gobbo. All Rights Reserved.
+ * 
+ * This software is proprietary and confidential.
+ * Unauthorized copying, distribution, or modification of this software,
+ * via any medium, is strictly prohibited without explicit permission.
+ * 
+ * For licensing inquiries, contact: pierangelogobbo@yahoo.it
+ */
+
+// ==================================
+//
+// Turns the times of the last few taps (in ms, oldest first) into a BPM for the
+// Start BPM knob. A tap that came late or double-struck shouldn't throw the tempo
+// off, so intervals far from the median are left out of the average.
+//
+// No DOM access: test/tap.test.js runs it in Node.
+
+const TAP_TOLERANCE = 0.25; // Furthest an interval can be from the median, as a fraction of it
+
+// Average of the tap intervals within TAP_TOLERANCE of their median, as a rounded
+// BPM. Null with fewer than two taps. The median is one of the intervals (the upper
+// middle one for an even count), so at least that one is always kept.
+function computeTapTempo(tapTimes) {
+    if (tapTimes.length < 2) return null;
+    
+    const intervals = [];
+    for (let i = 1; i < tapTimes.length; i++) {
+        intervals.push(tapTimes[i] - tapTimes[i - 1]);
+    }
+    
+    const sorted = [...intervals].sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    
+    const kept = intervals.filter(interval => Math.abs(interval - median) <= median * TAP_TOLERANCE);
+    const average = kept.reduce((sum, interval) => sum + interval, 0) / kept.length;
+    return Math.round(60000 / average);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TAP_TOLERANCE, computeTapTempo };
+}
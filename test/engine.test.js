@@ -0,0 +1,114 @@
+/**
+ * Dynamic Metronome - Timing engine tests
+ * Copyright (c) 2025 Pierangelo Gobbo. All Rights Reserved.
+ * 
+ * This software is proprietary and confidential.
+ * Unauthorized copying, distribution, or modification of this software,
+ * via any medium, is strictly prohibited without explicit permission.
+ * 
+ * For licensing inquiries, contact: pierangelogobbo@yahoo.it
+ */
+
+// Runs whole routines through the engine on a fake clock: the last beat must end
+// exactly where calculateTotalTime() says the routine does.
+// Run with: node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { MetronomeEngine } = require('../engine.js');
+const { calculateTotalTime, generateBeats, getBeatDuration } = require('../timeline.js');
+
+const SEGMENT = {
+    start: 120, end: 120, bars: 2, beats: 4, increment: 0, beatUnit: 4, pulse: 'beat',
+    curve: 'stepped', exactEnd: false, lengthUnit: 'bars', trainer: 'off', accents: [[1, 'accent']]
+};
+
+function makeRoutine(segments, repeat = { count: 1, offset: 0, cap: 400 }) {
+    return {
+        segments: segments.map(segment => ({ ...SEGMENT, ...segment })),
+        complex: segments.length > 1,
+        beatStates: new Map([[1, 'accent']]),
+        repeat,
+        tempoRange: [1, 400],
+        preRollTime: 1.0
+    };
+}
+
+// Timers that only fire when the fake clock is run forward
+function createFakeClock() {
+    const clock = { time: 0, timers: new Map(), nextId: 1 };
+    clock.now = () => clock.time;
+    clock.setTimer = (callback, ms) => {
+        const id = clock.nextId++;
+        clock.timers.set(id, { at: clock.time + ms / 1000, callback });
+        return id;
+    };
+    clock.clearTimer = (id) => clock.timers.delete(id);
+    clock.run = (until) => {
+        while (clock.timers.size > 0) {
+            const [id, timer] = [...clock.timers.entries()].reduce((a, b) => (b[1].at < a[1].at ? b : a));
+            if (timer.at > until) return;
+            clock.timers.delete(id);
+            clock.time = Math.max(clock.time, timer.at);
+            timer.callback();
+        }
+    };
+    return clock;
+}
+
+// Plays `routine` from START (the first beat comes after "GET READY") and returns
+// the time 'end' fired and the beats scheduled
+function play(routine) {
+    const clock = createFakeClock();
+    const engine = new MetronomeEngine({ now: clock.now, setTimer: clock.setTimer, clearTimer: clock.clearTimer });
+    const beats = [];
+    let endTime = null;
+    engine.on('schedule', beat => beats.push(beat));
+    engine.on('end', () => { endTime = clock.time; });
+    engine.start(generateBeats(routine), routine.preRollTime);
+    clock.run(3600);
+    return { endTime, beats };
+}
+
+test('a stepped ramp ends at calculateTotalTime()', () => {
+    const routine = makeRoutine([{ start: 100, end: 120, increment: 10 }]);
+    const { endTime, beats } = play(routine);
+    assert.ok(Math.abs(endTime - calculateTotalTime(routine)) < 1e-9);
+    // Count-in bar, then 2 bars at each of 100, 110 and 120 BPM
+    assert.strictEqual(beats.length, 4 + 3 * 8);
+    assert.deepStrictEqual(beats.slice(0, 4).map(beat => beat.isCountIn), [true, true, true, true]);
+    assert.strictEqual(beats[4].tempo, 100);
+    assert.strictEqual(beats[beats.length - 1].tempo, 120);
+});
+
+test('a Complex Ramp with curves, time lengths, odd meters and repeats ends at calculateTotalTime()', () => {
+    const routine = makeRoutine([
+        { start: 90, end: 150, bars: 4, curve: 'exponential' },
+        { start: 150, end: 130, increment: 5, beats: 7, beatUnit: 8, grouping: '2+2+3', exactEnd: true },
+        { start: 60, end: 60, bars: 30, lengthUnit: 'seconds', beats: 6, beatUnit: 8, pulse: 'dotted-quarter' },
+        { start: 100, end: 140, bars: 1, lengthUnit: 'minutes', curve: 's-curve' }
+    ], { count: 3, offset: 5, cap: 150 });
+    const { endTime, beats } = play(routine);
+    assert.ok(Math.abs(endTime - calculateTotalTime(routine)) < 1e-9);
+    assert.deepStrictEqual([...new Set(beats.map(beat => beat.pass))], [0, 1, 2]);
+});
+
+test('beats are back to back on the engine clock', () => {
+    const routine = makeRoutine([{ start: 80, end: 160, bars: 2, curve: 'linear' }]);
+    const { beats } = play(routine);
+    assert.strictEqual(beats[0].time, routine.preRollTime);
+    for (let i = 1; i < beats.length; i++) {
+        assert.ok(Math.abs(beats[i].time - (beats[i - 1].time + beats[i - 1].duration)) < 1e-9);
+    }
+    assert.strictEqual(beats[beats.length - 1].tempo, 160);
+});
+
+test('Normal mode never ends', () => {
+    const routine = makeRoutine([{ start: 120, end: 120 }]);
+    assert.strictEqual(calculateTotalTime(routine), 0);
+    const beats = generateBeats(routine);
+    const first = beats.next().value;
+    assert.strictEqual(first.isCountIn, false);
+    assert.strictEqual(first.state, 'accent');
+    assert.strictEqual(first.duration, getBeatDuration(120, routine.segments[0]));
+});
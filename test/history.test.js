@@ -0,0 +1,94 @@
+/**
+ * Dynamic Metronome - Practice history tests
+ * Copyright (c) 2025 Pierangelo Gobbo. All Rights Reserved.
+ * 
+ * This software is proprietary and confidential.
+ * Unauthorized copying, distribution, or modification of this software,
+ * via any medium, is strictly prohibited without explicit permission.
+ * 
+ * For licensing inquiries, contact: pierangelogobbo@yahoo.it
+ */
+
+// Days are local time, so the tests pin a time zone with a DST change in it
+// (Europe/Rome moved to summer time on 30 March 2025).
+// Run with: node --test
+
+process.env.TZ = 'Europe/Rome';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { toDayKey, toWeekKey, getDailyTotals, getStreaks, sessionsToCsv } = require('../history.js');
+
+// A session as script.js logs it, started at a local time
+function session(year, month, day, hour = 12, minute = 0, fields = {}) {
+    return {
+        date: new Date(year, month - 1, day, hour, minute).toISOString(),
+        mode: 'normal',
+        routine: null,
+        planned: 0,
+        played: 60,
+        maxBpm: 100,
+        finished: false,
+        ...fields
+    };
+}
+
+test('day keys follow local midnight, not UTC', () => {
+    // 00:30 in Rome is still the day before in UTC
+    const justAfter = session(2025, 3, 11, 0, 30);
+    assert.ok(justAfter.date.startsWith('2025-03-10T23:30'));
+    assert.strictEqual(toDayKey(new Date(justAfter.date)), '2025-03-11');
+    assert.strictEqual(toDayKey(new Date(session(2025, 3, 10, 23, 59).date)), '2025-03-10');
+    assert.strictEqual(toWeekKey(new Date(2025, 2, 16, 23, 59)), '2025-03-10'); // Sunday
+    assert.strictEqual(toWeekKey(new Date(2025, 2, 17, 0, 1)), '2025-03-17'); // Monday
+});
+
+test('a streak counts sessions a minute apart across midnight as two days', () => {
+    const sessions = [session(2025, 3, 10, 23, 59), session(2025, 3, 11, 0, 1)];
+    assert.deepStrictEqual(getStreaks(sessions, new Date(2025, 2, 11, 20)), { current: 2, longest: 2 });
+});
+
+test('the current streak waits for today until it is over', () => {
+    const sessions = [session(2025, 3, 9), session(2025, 3, 10)];
+    assert.deepStrictEqual(getStreaks(sessions, new Date(2025, 2, 11, 8)), { current: 2, longest: 2 });
+    assert.deepStrictEqual(getStreaks(sessions, new Date(2025, 2, 12, 0, 1)), { current: 0, longest: 2 });
+});
+
+test('streaks run across the change to summer time', () => {
+    const sessions = [
+        session(2025, 3, 20), session(2025, 3, 20, 18), // Twice on one day counts once
+        session(2025, 3, 22),
+        session(2025, 3, 29, 23, 30), session(2025, 3, 30, 0, 30), session(2025, 3, 31, 1), session(2025, 4, 1)
+    ];
+    assert.deepStrictEqual(getStreaks(sessions, new Date(2025, 3, 1, 9)), { current: 4, longest: 4 });
+    assert.deepStrictEqual(getStreaks([], new Date(2025, 3, 1)), { current: 0, longest: 0 });
+});
+
+test('daily totals add up each local day, with 0 for days off', () => {
+    const sessions = [session(2025, 3, 29, 23, 30), session(2025, 3, 30, 0, 30), session(2025, 3, 30, 22)];
+    assert.deepStrictEqual(getDailyTotals(sessions, 3, new Date(2025, 2, 31, 10)), [
+        { day: '2025-03-29', seconds: 60 },
+        { day: '2025-03-30', seconds: 120 },
+        { day: '2025-03-31', seconds: 0 }
+    ]);
+});
+
+test('CSV quotes commas, quotes and line breaks, and leaves blanks for null', () => {
+    const csv = sessionsToCsv([
+        session(2025, 3, 10, 12, 0, { routine: 'Warm-up, "fast"', finished: true }),
+        session(2025, 3, 11, 12, 0, { routine: 'Two\nlines', planned: 300 })
+    ]);
+    assert.strictEqual(csv,
+        'date,mode,routine,planned,played,maxBpm,finished\r\n' +
+        '2025-03-10T11:00:00.000Z,normal,"Warm-up, ""fast""",0,60,100,true\r\n' +
+        '2025-03-11T11:00:00.000Z,normal,"Two\nlines",300,60,100,false\r\n');
+    assert.strictEqual(sessionsToCsv([session(2025, 3, 10)]).split('\r\n')[1].split(',')[2], '');
+});
+
+test('CSV keeps routine names from running as spreadsheet formulas', () => {
+    const routines = ['=1+1', '+49 drill', '-5 BPM', '@SUM(A1)', '=HYPERLINK("x","y")', 'Paradiddles'];
+    const cells = routines.map(routine => sessionsToCsv([session(2025, 3, 10, 12, 0, { routine })]).split('\r\n')[1]);
+    assert.deepStrictEqual(cells.map(line => line.slice(line.indexOf(',normal,') + 8, line.indexOf(',0,60,'))), [
+        "'=1+1", "'+49 drill", "'-5 BPM", "'@SUM(A1)", '"\'=HYPERLINK(""x"",""y"")"', 'Paradiddles'
+    ]);
+});
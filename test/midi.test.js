@@ -0,0 +1,171 @@
+/**
+ * Dynamic Metronome - Web MIDI bridge tests
+ * Copyright (c) 2025 Pierangelo Gobbo. All Rights Reserved.
+ * 
+ * This software is proprietary and confidential.
+ * Unauthorized copying, distribution, or modification of this software,
+ * via any medium, is strictly prohibited without explicit permission.
+ * 
+ * For licensing inquiries, contact: pierangelogobbo@yahoo.it
+ */
+
+// Drives MidiBridge through a mocked navigator.requestMIDIAccess: one output port
+// that records what is sent and one input port the tests play messages into.
+// Run with: node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { MidiBridge, MIDI_CLOCK, MIDI_START, MIDI_CONTINUE, MIDI_STOP } = require('../midi.js');
+
+async function connectMock() {
+    const sent = [];
+    const output = { id: 'out-1', name: 'Drum machine', send: (data, timestamp) => sent.push({ data, timestamp }) };
+    const input = { id: 'in-1', name: 'DAW', onmidimessage: null };
+    const navigator = {
+        requestMIDIAccess: async () => ({
+            inputs: new Map([[input.id, input]]),
+            outputs: new Map([[output.id, output]])
+        })
+    };
+    const midi = new MidiBridge({ navigator, now: () => 0 });
+    await midi.connect();
+    midi.selectOutput(output.id);
+    midi.selectInput(input.id);
+    const receive = (data, timeStamp = 0) => input.onmidimessage({ data, timeStamp });
+    return { midi, sent, input, receive };
+}
+
+// Collects every `name` event
+function record(midi, name) {
+    const events = [];
+    midi.on(name, data => events.push(data));
+    return events;
+}
+
+test('connects through requestMIDIAccess and lists the ports', async () => {
+    const { midi, input } = await connectMock();
+    assert.ok(midi.isSupported());
+    assert.deepStrictEqual(midi.getOutputs().map(port => port.id), ['out-1']);
+    assert.deepStrictEqual(midi.getInputs().map(port => port.id), ['in-1']);
+    assert.strictEqual(input.onmidimessage, midi.handleMessage);
+});
+
+test('refuses to connect without Web MIDI', async () => {
+    const midi = new MidiBridge({ navigator: {} });
+    assert.strictEqual(midi.isSupported(), false);
+    await assert.rejects(() => midi.connect());
+});
+
+test('sends 24 clock pulses per quarter-note beat, evenly spread', async () => {
+    const { midi, sent } = await connectMock();
+    midi.sendBeatClock(1000, 500, 4);
+    assert.strictEqual(sent.length, 24);
+    sent.forEach(({ data, timestamp }, i) => {
+        assert.deepStrictEqual(data, [MIDI_CLOCK]);
+        assert.ok(Math.abs(timestamp - (1000 + 500 * i / 24)) < 1e-9);
+    });
+});
+
+test('sends 12 clock pulses for an eighth-note beat', async () => {
+    const { midi, sent } = await connectMock();
+    midi.sendBeatClock(0, 250, 8);
+    assert.strictEqual(sent.length, 12);
+    assert.strictEqual(sent[11].timestamp, 250 * 11 / 12);
+});
+
+test('sends Start, Stop and Continue', async () => {
+    const { midi, sent } = await connectMock();
+    midi.sendStart(10);
+    midi.sendStop(20);
+    midi.sendContinue(30);
+    assert.deepStrictEqual(sent, [
+        { data: [0xFA], timestamp: 10 },
+        { data: [0xFC], timestamp: 20 },
+        { data: [0xFB], timestamp: 30 }
+    ]);
+});
+
+test('sends nothing without an output', async () => {
+    const { midi, sent } = await connectMock();
+    midi.selectOutput('');
+    midi.sendBeatClock(0, 500);
+    midi.sendStart(0);
+    assert.strictEqual(sent.length, 0);
+});
+
+test('measures the tempo of incoming clock', async () => {
+    const { midi, receive } = await connectMock();
+    const tempos = record(midi, 'tempo');
+    const interval = 60000 / 132 / 24;
+    for (let i = 0; i < 24; i++) receive([MIDI_CLOCK], 5000 + i * interval);
+    assert.deepStrictEqual(tempos, [], 'needs a whole quarter note of pulses first');
+    for (let i = 24; i < 72; i++) receive([MIDI_CLOCK], 5000 + i * interval);
+    assert.deepStrictEqual(tempos, [132], 'only reported when it changes');
+    assert.ok(Math.abs(midi.clockInterval - interval) < 1e-9);
+    
+    // Slowing down to 90 BPM
+    const start = 5000 + 72 * interval;
+    for (let i = 1; i <= 25; i++) receive([MIDI_CLOCK], start + i * 60000 / 90 / 24);
+    assert.strictEqual(tempos[tempos.length - 1], 90);
+});
+
+test('counts clock pulses from Start, pauses on Stop and carries on after Continue', async () => {
+    const { midi, receive } = await connectMock();
+    const transport = [];
+    ['start', 'stop', 'continue'].forEach(name => midi.on(name, () => transport.push(name)));
+    const pulses = record(midi, 'clock');
+    
+    receive([MIDI_CLOCK], 0); // Master stopped - measured but not counted
+    receive([MIDI_START]);
+    receive([MIDI_CLOCK], 10);
+    receive([MIDI_CLOCK], 20);
+    receive([MIDI_STOP]);
+    receive([MIDI_CLOCK], 30);
+    receive([MIDI_CONTINUE]);
+    receive([MIDI_CLOCK], 40);
+    receive([MIDI_START]);
+    receive([MIDI_CLOCK], 50);
+    
+    assert.deepStrictEqual(transport, ['start', 'stop', 'continue', 'start']);
+    assert.deepStrictEqual(pulses, [
+        { pulse: 0, timeStamp: 10 },
+        { pulse: 1, timeStamp: 20 },
+        { pulse: 2, timeStamp: 40 },
+        { pulse: 0, timeStamp: 50 }
+    ]);
+});
+
+test('learns a note and fires its action', async () => {
+    const { midi, receive } = await connectMock();
+    const learned = record(midi, 'learned');
+    const actions = record(midi, 'action');
+    
+    midi.learn('tap');
+    receive([0x91, 60, 0]); // Note on with velocity 0 is a note off - not learned
+    assert.deepStrictEqual(learned, []);
+    receive([0x91, 60, 100]);
+    assert.deepStrictEqual(learned, [{ type: 'note', channel: 1, number: 60, action: 'tap' }]);
+    assert.strictEqual(midi.learnAction, null);
+    assert.deepStrictEqual(actions, [], 'the learning note fires nothing');
+    
+    receive([0x91, 60, 90]);
+    receive([0x91, 60, 0]); // Note off
+    receive([0x81, 60, 64]); // Note off
+    receive([0x90, 60, 90]); // Other channel
+    receive([0x91, 61, 90]); // Other note
+    assert.deepStrictEqual(actions, [{ action: 'tap', value: 90 }]);
+});
+
+test('maps CCs with their value and relearning replaces the old mapping', async () => {
+    const { midi, receive } = await connectMock();
+    const actions = record(midi, 'action');
+    midi.setMappings([{ type: 'cc', channel: 0, number: 7, action: 'tempo' }]);
+    
+    receive([0xB0, 7, 0]);
+    receive([0xB0, 7, 127]);
+    assert.deepStrictEqual(actions, [{ action: 'tempo', value: 0 }, { action: 'tempo', value: 127 }]);
+    
+    midi.learn('stop');
+    receive([0xB0, 7, 64]);
+    assert.deepStrictEqual(midi.mappings, [{ type: 'cc', channel: 0, number: 7, action: 'stop' }]);
+});
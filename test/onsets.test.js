@@ -0,0 +1,149 @@
+/**
+ * Dynamic Metronome - Timing analysis tests
+ * Copyright (c) 2025 Pierangelo Gobbo. All Rights Reserved.
+ * 
+ * This software is proprietary and confidential.
+ * Unauthorized copying, distribution, or modification of this software,
+ * via any medium, is strictly prohibited without explicit permission.
+ * 
+ * For licensing inquiries, contact: pierangelogobbo@yahoo.it
+ */
+
+// Plays notes at known times into the onset detector over a quiet noise floor, then
+// checks what they are matched to and how each tempo step is summed up.
+// Run with: node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    OnsetDetector, detectOnsets, findNearestClick, matchOnsets, summarizeOffsets, summarizeSteps
+} = require('../onsets.js');
+
+const SAMPLE_RATE = 22050;
+const FRAME = Math.round(0.0015 * SAMPLE_RATE) / SAMPLE_RATE; // The detector's timing resolution
+
+// `seconds` of noise at -60 dBFS with a 20 ms decaying 1 kHz note at each of `times`
+function renderNotes(times, seconds) {
+    const samples = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+    let seed = 1;
+    for (let i = 0; i < samples.length; i++) {
+        seed = (seed * 16807) % 2147483647;
+        samples[i] = (seed / 2147483647 - 0.5) * 0.002;
+    }
+    times.forEach(time => {
+        const first = Math.round(time * SAMPLE_RATE);
+        for (let i = 0; i < 0.02 * SAMPLE_RATE; i++) {
+            const t = i / SAMPLE_RATE;
+            samples[first + i] += 0.5 * Math.exp(-t / 0.005) * Math.sin(2 * Math.PI * 1000 * t);
+        }
+    });
+    return samples;
+}
+
+// Two bars of 4/4 at 120 BPM from 0.5 s, one tempo step per bar
+function makeClicks() {
+    return Array.from({ length: 8 }, (_, idx) => ({
+        time: 0.5 + idx * 0.5,
+        duration: 0.5,
+        step: idx < 4 ? 'a' : 'b',
+        label: idx < 4 ? 'Step A' : 'Step B'
+    }));
+}
+
+function assertTimes(actual, expected) {
+    assert.strictEqual(actual.length, expected.length, `${actual} vs ${expected}`);
+    actual.forEach((time, idx) => {
+        assert.ok(Math.abs(time - expected[idx]) <= FRAME, `onset ${idx} at ${time}, expected ${expected[idx]}`);
+    });
+}
+
+test('detectOnsets finds every note to within a frame and nothing in the noise', () => {
+    const times = [0.3, 0.81, 1.25, 1.7, 2.05];
+    assertTimes(detectOnsets(renderNotes(times, 2.5), SAMPLE_RATE), times);
+    assert.deepStrictEqual(detectOnsets(renderNotes([], 1), SAMPLE_RATE), []);
+});
+
+test('notes closer than the minimum gap count once', () => {
+    assertTimes(detectOnsets(renderNotes([0.5, 0.52, 1], 1.5), SAMPLE_RATE), [0.5, 1]);
+});
+
+test('OnsetDetector gives the same times when fed in blocks', () => {
+    const times = [0.2, 0.61, 1.33];
+    const samples = renderNotes(times, 1.5);
+    const detector = new OnsetDetector(SAMPLE_RATE);
+    const found = [];
+    const block = 128; // What the recorder worklet hands over, not a whole number of frames
+    for (let i = 0; i < samples.length; i += block) {
+        found.push(...detector.push(samples.subarray(i, i + block), 10 + i / SAMPLE_RATE));
+    }
+    assertTimes(found, times.map(time => 10 + time));
+});
+
+test('findNearestClick picks the closest click on either side', () => {
+    const clicks = makeClicks(); // 0.5, 1, ... 4
+    assert.strictEqual(findNearestClick([], 1), -1);
+    assert.strictEqual(findNearestClick(clicks, 0), 0);
+    assert.strictEqual(findNearestClick(clicks, 0.7), 0);
+    assert.strictEqual(findNearestClick(clicks, 0.8), 1);
+    assert.strictEqual(findNearestClick(clicks, 1.02), 1);
+    assert.strictEqual(findNearestClick(clicks, 2.49), 4);
+    assert.strictEqual(findNearestClick(clicks, 9), 7);
+});
+
+test('matchOnsets gives each click the offset of its nearest note within a quarter beat', () => {
+    const clicks = makeClicks();
+    // Click 2 is missed, an off-beat note falls between clicks 3 and 4, and click 5
+    // gets two notes of which the closer one counts
+    const onsets = [0.48, 0.99, 2.03, 2.25, 3.1, 2.96];
+    const offsets = matchOnsets(onsets, clicks);
+    const expected = [-0.02, -0.01, null, 0.03, null, -0.04, null, null];
+    offsets.forEach((offset, idx) => {
+        if (expected[idx] === null) {
+            assert.strictEqual(offset, null, `click ${idx}`);
+        } else {
+            assert.ok(Math.abs(offset - expected[idx]) < 1e-9, `click ${idx}: ${offset}`);
+        }
+    });
+});
+
+test('matchOnsets adds the next block to earlier offsets', () => {
+    const clicks = makeClicks();
+    const first = matchOnsets([0.51], clicks);
+    const both = matchOnsets([1.02, 0.505], clicks, first);
+    assert.ok(Math.abs(both[0] - 0.005) < 1e-9);
+    assert.ok(Math.abs(both[1] - 0.02) < 1e-9);
+    assert.strictEqual(both[2], null);
+    assert.strictEqual(first[1], null); // The earlier result is left as it was
+});
+
+test('a recording that rushes the first step and drags the second', () => {
+    const clicks = makeClicks();
+    const played = clicks.map(click => click.time + (click.step === 'a' ? -0.02 : 0.03));
+    played.splice(6, 1); // The third beat of step B is left out
+    const offsets = matchOnsets(detectOnsets(renderNotes(played, 4.5), SAMPLE_RATE), clicks);
+    
+    offsets.forEach((offset, idx) => {
+        if (idx === 6) {
+            assert.strictEqual(offset, null);
+            return;
+        }
+        const expected = idx < 4 ? -0.02 : 0.03;
+        assert.ok(Math.abs(offset - expected) <= FRAME, `click ${idx}: ${offset}`);
+    });
+    
+    const [a, b] = summarizeSteps(clicks, offsets);
+    assert.deepStrictEqual([a.step, a.label, a.clicks, a.count, a.tendency], ['a', 'Step A', 4, 4, 'rushing']);
+    assert.deepStrictEqual([b.step, b.label, b.clicks, b.count, b.tendency], ['b', 'Step B', 4, 3, 'dragging']);
+    assert.ok(Math.abs(a.mean + 0.02) <= FRAME);
+    assert.ok(Math.abs(b.mean - 0.03) <= FRAME);
+    assert.ok(a.spread < 0.001 && b.spread < 0.001);
+});
+
+test('summarizeOffsets skips missed clicks and calls small means steady', () => {
+    assert.deepStrictEqual(summarizeOffsets([null, null]), { count: 0, mean: 0, spread: 0, tendency: 'steady' });
+    const summary = summarizeOffsets([0.004, null, -0.002, 0.004]);
+    assert.strictEqual(summary.count, 3);
+    assert.ok(Math.abs(summary.mean - 0.002) < 1e-9);
+    assert.ok(Math.abs(summary.spread - Math.sqrt(0.000008)) < 1e-9);
+    assert.strictEqual(summary.tendency, 'steady');
+});
@@ -0,0 +1,44 @@
+/**
+ * Dynamic Metronome - Tap tempo tests
+ * Copyright (c) 2025 Pierangelo Gobbo. All Rights Reserved.
+ * 
+ * This software is proprietary and confidential.
+ * Unauthorized copying, distribution, or modification of this software,
+ * via any medium, is strictly prohibited without explicit permission.
+ * 
+ * For licensing inquiries, contact: pierangelogobbo@yahoo.it
+ */
+
+// Tap times in ms, oldest first, as script.js keeps them.
+// Run with: node --test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeTapTempo } = require('../tap.js');
+
+test('fewer than two taps give no tempo', () => {
+    assert.strictEqual(computeTapTempo([]), null);
+    assert.strictEqual(computeTapTempo([1000]), null);
+});
+
+test('steady taps give their tempo', () => {
+    assert.strictEqual(computeTapTempo([0, 500]), 120);
+    assert.strictEqual(computeTapTempo([0, 600, 1200, 1800, 2400]), 100);
+});
+
+test('an interval far from the rest is left out', () => {
+    // One late tap, then back in time
+    assert.strictEqual(computeTapTempo([0, 500, 1000, 1900, 2400, 2900]), 120);
+    // One early tap, which makes one interval short and the next long
+    assert.strictEqual(computeTapTempo([0, 500, 1000, 1350, 2000, 2500]), 120);
+});
+
+test('two middle intervals too far apart to share a median still give a tempo', () => {
+    // 400 and 1200 ms: halfway between them, neither is within 25%
+    assert.strictEqual(computeTapTempo([0, 400, 1600]), 50);
+    assert.strictEqual(computeTapTempo([0, 300, 700, 1900, 3100]), 50);
+});
+
+test('taps with the same time stamp give no finite tempo', () => {
+    assert.strictEqual(Number.isFinite(computeTapTempo([1000, 1000])), false);
+});
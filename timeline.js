@@ -0,0 +1,371 @@
+/**
+ * Dynamic Metronome - Routine timeline
+ * Copyright (c) 2025 Pierangelo Gobbo. All Rights Reserved.
+ * 
+ * This software is proprietary and confidential.
+ * Unauthorized copying, distribution, or modification of this software,
+ * via any medium, is strictly prohibited without explicit permission.
+ * 
+ * For licensing inquiries, contact: pierangelogobbo@yahoo.it
+ */
+
+// ==================================
+//
+// The beats a routine plays and how long it lasts - what engine.js schedules, the
+// WAV render writes and the countdown counts. A routine is a plain object that
+// script.js builds from the knobs and the saved segments (see getRoutine()):
+//
+// { segments, complex, beatStates, repeat, tempoRange, preRollTime }
+// - segments:    segments played in order; without saved segments the knobs are the only one
+// - complex:     Complex Ramp - each segment has its own accents, else beatStates apply
+// - beatStates:  Map of beat number -> 'accent' / 'muted' (beats not in it are 'normal')
+// - repeat:      { count, offset, cap } - passes (0 = forever), BPM added per pass, cap
+// - tempoRange:  [min, max] BPM that a shifted tempo is kept within
+// - preRollTime: seconds of "GET READY" before the count-in
+//
+// A single segment whose start and end BPM match is Normal mode: it plays bar after
+// bar and never ends.
+//
+// Beats come out as { duration, tempo, state, silenced, beatInBar, meter,
+// segmentIndex, segmentBeat, pass, isCountIn }. `silenced` beats were muted by the
+// trainer; `segmentBeat` counts the beats from the start of the segment (of the run
+// in Normal mode), so play can pick up at any beat of any segment and pass.
+
+// Note value BPM can count, in whole notes. 'beat' counts every beat of the bar
+// whatever its unit.
+const PULSE_NOTES = {
+    beat: null,
+    half: 1 / 2,
+    quarter: 1 / 4,
+    'dotted-quarter': 3 / 8,
+    eighth: 1 / 8
+};
+const PULSE_LABELS = {
+    beat: 'beat',
+    half: 'half note',
+    quarter: 'quarter note',
+    'dotted-quarter': 'dotted quarter',
+    eighth: 'eighth note'
+};
+
+// Seconds per beat. BPM counts the meter's pulse note, which is the beat itself
+// unless another pulse was picked (e.g. 6/8 counted in dotted quarters).
+function getBeatDuration(tempo, meter) {
+    const pulseNotes = PULSE_NOTES[meter.pulse];
+    const ratio = pulseNotes ? (1 / meter.beatUnit) / pulseNotes : 1;
+    return 60.0 / tempo * ratio;
+}
+
+function isNormalMode(routine) {
+    return !routine.complex && routine.segments[0].start === routine.segments[0].end;
+}
+
+// State of beat `beatNum`: from the segment's own accents in Complex Ramp, else from beatStates
+function lookupBeatState(beatStates, beatNum, segment = null) {
+    if (!segment) return beatStates.get(beatNum) || 'normal';
+    const entry = segment.accents.find(([beat]) => beat === beatNum);
+    return entry ? entry[1] : 'normal';
+}
+
+// Whether the trainer silences beat `beatIndex` (0-based, counted from the start of
+// the segment, or of the run in Normal mode) of a segment with these settings
+function isTrainerSilent(segment, beatIndex) {
+    const bar = Math.floor(beatIndex / segment.beats);
+    if (segment.trainer === 'gap') {
+        return bar % (segment.gapPlay + segment.gapMute) >= segment.gapPlay;
+    }
+    if (segment.trainer === 'random') {
+        const rise = Math.min(1, bar / segment.dropBars);
+        const chance = segment.dropStart + (segment.dropEnd - segment.dropStart) * rise;
+        return Math.random() * 100 < chance;
+    }
+    return false;
+}
+
+// A segment's tempos on repeat pass `pass` (0 = first). Each pass shifts them by the
+// per-loop offset; going up they stop at the cap (tempos already above it stay put).
+function shiftSegment(routine, segment, pass) {
+    const { offset, cap } = routine.repeat;
+    const shift = pass * offset;
+    if (shift === 0) return segment;
+    
+    const [min, max] = routine.tempoRange;
+    const shiftTempo = (tempo) => {
+        const shifted = shift > 0 ? Math.min(tempo + shift, Math.max(cap, tempo)) : tempo + shift;
+        return Math.max(min, Math.min(max, shifted));
+    };
+    return { ...segment, start: shiftTempo(segment.start), end: shiftTempo(segment.end) };
+}
+
+function getLengthSeconds(segment) {
+    return segment.bars * (segment.lengthUnit === 'minutes' ? 60 : 1);
+}
+
+// Bars a segment holds `tempo` for: `bars` itself, or the whole number of bars
+// whose end is nearest to its length in time
+function getStepBars(segment, tempo) {
+    if (segment.lengthUnit === 'bars') return segment.bars;
+    const barTime = segment.beats * getBeatDuration(tempo, segment);
+    return Math.max(1, Math.round(getLengthSeconds(segment) / barTime));
+}
+
+// Bars a curved ramp is spread over. For a length in time, spreading it over more
+// bars always takes longer, so a binary search finds the nearest bar count.
+function getCurveBars(segment) {
+    if (segment.lengthUnit === 'bars') return segment.bars;
+    
+    const target = getLengthSeconds(segment);
+    const rampTime = (bars) => getSegmentTime({ ...segment, lengthUnit: 'bars', bars });
+    const fastestBar = segment.beats * getBeatDuration(Math.max(segment.start, segment.end), segment);
+    let low = 1;
+    let high = Math.ceil(target / fastestBar) + 1; // Takes at least `target` seconds
+    while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        if (rampTime(mid) < target) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    // `low` is the first bar count that lasts long enough - one fewer may be closer
+    if (low > 1 && target - rampTime(low - 1) < rampTime(low) - target) {
+        return low - 1;
+    }
+    return low;
+}
+
+// Tempo at position t (0..1) along a curved ramp
+function getCurveTempo(segment, t) {
+    const { start, end } = segment;
+    if (segment.curve === 'exponential') {
+        // Same percentage change on every beat
+        return start * Math.pow(end / start, t);
+    }
+    if (segment.curve === 's-curve') {
+        // Eases in and out (smoothstep)
+        return start + (end - start) * t * t * (3 - 2 * t);
+    }
+    return start + (end - start) * t;
+}
+
+// The tempos a ramp segment plays, as steps of { tempo, beats }.
+// Stepped ramps hold each tempo for `bars` bars; curved ramps take one step per beat
+// and go from start to end over `bars` bars in total, landing exactly on the end BPM.
+// With a lengthUnit in time, `bars` is seconds or minutes rounded to whole bars.
+function buildTempoSteps(segment) {
+    const { start, end, increment, beats } = segment;
+    const steps = [];
+    
+    if (start === end) {
+        steps.push({ tempo: start, beats: getStepBars(segment, start) * beats });
+    } else if (segment.curve === 'stepped') {
+        if (increment <= 0) return steps; // Rejected by validation - never loop forever
+        const direction = start < end ? 1 : -1;
+        let current = start;
+        while ((end - current) * direction >= 0) {
+            steps.push({ tempo: current, beats: getStepBars(segment, current) * beats });
+            current += increment * direction;
+        }
+        if (segment.exactEnd && steps[steps.length - 1].tempo !== end) {
+            steps.push({ tempo: end, beats: getStepBars(segment, end) * beats });
+        }
+    } else {
+        const totalBeats = getCurveBars(segment) * beats;
+        for (let i = 0; i < totalBeats; i++) {
+            const t = totalBeats > 1 ? i / (totalBeats - 1) : 1;
+            steps.push({ tempo: getCurveTempo(segment, t), beats: 1 });
+        }
+    }
+    
+    return steps;
+}
+
+// Length of a segment in seconds, leaving out its first `startBeat` beats
+function getSegmentTime(segment, startBeat = 0) {
+    let beat = 0;
+    return buildTempoSteps(segment).reduce((sum, step) => {
+        const beats = Math.max(0, Math.min(step.beats, beat + step.beats - startBeat));
+        beat += step.beats;
+        return sum + beats * getBeatDuration(step.tempo, segment);
+    }, 0);
+}
+
+// First beat of the tempo step that beat `segmentBeat` is in. Curved ramps change
+// tempo on every beat, so there the step is the bar.
+function getStepStartBeat(segment, segmentBeat) {
+    if (segment.curve !== 'stepped' && segment.start !== segment.end) {
+        return segmentBeat - segmentBeat % segment.beats;
+    }
+    let start = 0;
+    for (const step of buildTempoSteps(segment)) {
+        if (segmentBeat < start + step.beats) break;
+        start += step.beats;
+    }
+    return start;
+}
+
+// Time left from beat `segmentBeat` of segment `segmentIndex` on pass `pass` to the
+// end of the last pass (count-in not included)
+function getRemainingTime(routine, pass, segmentIndex, segmentBeat = 0) {
+    let total = 0;
+    for (let p = pass; p < routine.repeat.count; p++) {
+        routine.segments.forEach((segment, idx) => {
+            if (p === pass && idx < segmentIndex) return;
+            const played = p === pass && idx === segmentIndex ? segmentBeat : 0;
+            total += getSegmentTime(shiftSegment(routine, segment, p), played);
+        });
+    }
+    return total;
+}
+
+// Seconds from pressing START to the end of the routine: "GET READY", the count-in
+// and every pass. 0 when it never ends (Normal mode, endless repeats).
+function calculateTotalTime(routine) {
+    if (isNormalMode(routine) || routine.repeat.count === 0) {
+        return 0;
+    }
+    
+    const first = routine.segments[0];
+    const countdownTime = first.beats * getBeatDuration(first.start, first);
+    return getRemainingTime(routine, 0, 0) + countdownTime + routine.preRollTime;
+}
+
+// The routine's beats, one at a time, from beat `beat` of segment `segment` on pass
+// `pass`. Ramp modes start with a count-in bar (segmentIndex -1), unless they start
+// later than the first segment of the first pass; `countIn` forces it on or off, e.g.
+// for a bar at the current tempo when resuming.
+//
+// `live` hooks in the routine being played, which may change as it plays:
+// - meter():       the knobs as a segment - Normal mode follows them beat by beat
+// - tempo(meter):  BPM for the next Normal mode beat, in that meter
+// - looping():     true to play the segment that just ended again
+// - addTime(s):    seconds played on top of calculateTotalTime() (count-ins after a
+//                  jump, segment loops)
+// Without them Normal mode plays its segment at its start BPM and nothing loops.
+function* generateBeats(routine, { pass = 0, segment: startSegment = 0, beat: startBeat = 0, countIn = null, live = null } = {}) {
+    const normalMode = isNormalMode(routine);
+    const fromStart = pass === 0 && startSegment === 0 && startBeat === 0;
+    const beats = normalMode
+        ? generateNormalBeats(routine, startBeat, live)
+        : generateRampBeats(routine, pass, startSegment, startBeat, live);
+    if (countIn === null) {
+        countIn = !normalMode && fromStart;
+    }
+    
+    if (countIn) {
+        // One bar at the tempo and accents of the first beat that follows
+        const next = beats.next();
+        if (next.done) return;
+        const { tempo, meter } = next.value;
+        
+        // calculateTotalTime() only counts the count-in at the start
+        if (live && !fromStart) {
+            live.addTime(meter.beats * getBeatDuration(tempo, meter));
+        }
+        for (let beatInBar = 1; beatInBar <= meter.beats; beatInBar++) {
+            yield {
+                duration: getBeatDuration(tempo, meter),
+                tempo,
+                state: lookupBeatState(routine.beatStates, beatInBar, routine.complex ? meter : null),
+                silenced: false,
+                beatInBar,
+                meter,
+                segmentIndex: -1,
+                segmentBeat: beatInBar - 1,
+                pass: next.value.pass,
+                isCountIn: true
+            };
+        }
+        yield next.value;
+    }
+    yield* beats;
+}
+
+function* generateNormalBeats(routine, startBeat, live) {
+    // Beats already played of the current bar, and the bar they are in
+    const beatsPerBar = (live ? live.meter() : routine.segments[0]).beats;
+    let beatInBar = startBeat % beatsPerBar;
+    let bar = Math.ceil(startBeat / beatsPerBar) - 1;
+    while (true) {
+        const meter = live ? live.meter() : routine.segments[0];
+        const tempo = live ? live.tempo(meter) : meter.start;
+        beatInBar = beatInBar >= meter.beats ? 1 : beatInBar + 1;
+        if (beatInBar === 1) bar++;
+        const silenced = isTrainerSilent(meter, bar * meter.beats);
+        yield {
+            duration: getBeatDuration(tempo, meter),
+            tempo,
+            state: silenced ? 'muted' : lookupBeatState(routine.beatStates, beatInBar),
+            silenced,
+            beatInBar,
+            meter,
+            segmentIndex: 0,
+            segmentBeat: bar * meter.beats + beatInBar - 1,
+            pass: 0,
+            isCountIn: false
+        };
+    }
+}
+
+function* generateRampBeats(routine, pass, startSegment, startBeat, live) {
+    const { segments, repeat } = routine;
+    for (let p = pass; repeat.count === 0 || p < repeat.count; p++) {
+        for (let segmentIndex = p === pass ? startSegment : 0; segmentIndex < segments.length; segmentIndex++) {
+            const segment = shiftSegment(routine, segments[segmentIndex], p);
+            const skip = p === pass && segmentIndex === startSegment ? startBeat : 0;
+            yield* generateSegmentBeats(routine, segment, segmentIndex, p, skip);
+            
+            // Each extra time round is added to the countdown as it starts
+            while (live && live.looping()) {
+                live.addTime(getSegmentTime(segment));
+                yield* generateSegmentBeats(routine, segment, segmentIndex, p);
+            }
+        }
+    }
+}
+
+// Beats of one segment, leaving out the first `startBeat`
+function* generateSegmentBeats(routine, segment, segmentIndex, pass, startBeat = 0) {
+    // Curved ramps change tempo mid-bar, so count bars across the whole segment
+    let segmentBeat = 0;
+    for (const step of buildTempoSteps(segment)) {
+        const duration = getBeatDuration(step.tempo, segment);
+        for (let i = 0; i < step.beats; i++, segmentBeat++) {
+            if (segmentBeat < startBeat) continue;
+            const beatInBar = (segmentBeat % segment.beats) + 1;
+            const silenced = isTrainerSilent(segment, segmentBeat);
+            yield {
+                duration,
+                tempo: step.tempo,
+                state: silenced ? 'muted' : lookupBeatState(routine.beatStates, beatInBar, routine.complex ? segment : null),
+                silenced,
+                beatInBar,
+                meter: segment,
+                segmentIndex,
+                segmentBeat,
+                pass,
+                isCountIn: false
+            };
+        }
+    }
+}
+
+// Every beat of a ramp routine with its time in seconds from the start, after the
+// "GET READY" pre-roll. Ramp modes only - Normal mode never ends.
+function getRampTimeline(routine) {
+    const beats = [];
+    let time = routine.preRollTime;
+    for (const beat of generateBeats(routine)) {
+        beats.push({ ...beat, time });
+        time += beat.duration;
+    }
+    return beats;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PULSE_NOTES, PULSE_LABELS, getBeatDuration, isNormalMode, lookupBeatState, isTrainerSilent, shiftSegment,
+        getLengthSeconds, getStepBars, getCurveBars, getCurveTempo, buildTempoSteps, getSegmentTime, getStepStartBeat,
+        getRemainingTime, calculateTotalTime, generateBeats, getRampTimeline
+    };
+}
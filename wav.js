@@ -0,0 +1,123 @@
+/**
+ * Dynamic Metronome - WAV encoder
+ * Copyright (c) 2025 Pierangelo Gobbo. All Rights Reserved.
+ * 
+ * This software is proprietary and confidential.
+ * Unauthorized copying, distribution, or modification of this software,
+ * via any medium, is strictly prohibited without explicit permission.
+ * 
+ * For licensing inquiries, contact: pierangelogobbo@yahoo.it
+ */
+
+// ==================================
+//
+// Turns rendered audio into a PCM WAV file (16 or 24 bit), optionally with a
+// cue chunk and a LIST/adtl chunk of labels, which DAWs show as markers.
+//
+// channels: one Float32Array per channel, all the same length (-1..1)
+// cues:     [{ sample, label }] - sample is the frame the marker sits on
+
+const WAV_BIT_DEPTHS = [16, 24];
+
+function encodeWav(channels, sampleRate, options = {}) {
+    const bitDepth = options.bitDepth || 16;
+    const cues = options.cues || [];
+    if (!WAV_BIT_DEPTHS.includes(bitDepth)) {
+        throw new Error(`Unsupported bit depth: ${bitDepth}`);
+    }
+    
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = channels.length * bytesPerSample;
+    const frames = channels.length > 0 ? channels[0].length : 0;
+    const dataSize = frames * blockAlign;
+    
+    // Labels are null-terminated and every chunk is padded to an even size
+    const encoder = new TextEncoder();
+    const labels = cues.map(cue => encoder.encode(cue.label || ''));
+    const labelChunkSizes = labels.map(text => 4 + text.length + 1);
+    const cueSize = cues.length > 0 ? 4 + 24 * cues.length : 0;
+    const listSize = cues.length > 0
+        ? 4 + labelChunkSizes.reduce((sum, size) => sum + 8 + size + (size % 2), 0)
+        : 0;
+    
+    const fileSize = 12 + (8 + 16) + (8 + dataSize + (dataSize % 2)) +
+        (cueSize ? 8 + cueSize : 0) + (listSize ? 8 + listSize : 0);
+    const buffer = new ArrayBuffer(fileSize);
+    const view = new DataView(buffer);
+    let pos = 0;
+    
+    const writeTag = (tag) => {
+        for (let i = 0; i < 4; i++) view.setUint8(pos++, tag.charCodeAt(i));
+    };
+    const writeUint32 = (value) => {
+        view.setUint32(pos, value, true);
+        pos += 4;
+    };
+    const writeUint16 = (value) => {
+        view.setUint16(pos, value, true);
+        pos += 2;
+    };
+    
+    writeTag('RIFF');
+    writeUint32(fileSize - 8);
+    writeTag('WAVE');
+    
+    writeTag('fmt ');
+    writeUint32(16);
+    writeUint16(1); // PCM
+    writeUint16(channels.length);
+    writeUint32(sampleRate);
+    writeUint32(sampleRate * blockAlign);
+    writeUint16(blockAlign);
+    writeUint16(bitDepth);
+    
+    writeTag('data');
+    writeUint32(dataSize);
+    const max = Math.pow(2, bitDepth - 1) - 1;
+    for (let frame = 0; frame < frames; frame++) {
+        for (let ch = 0; ch < channels.length; ch++) {
+            const sample = Math.max(-1, Math.min(1, channels[ch][frame]));
+            const value = Math.round(sample * max);
+            if (bitDepth === 16) {
+                view.setInt16(pos, value, true);
+            } else {
+                view.setUint8(pos, value & 0xFF);
+                view.setUint8(pos + 1, (value >> 8) & 0xFF);
+                view.setUint8(pos + 2, (value >> 16) & 0xFF);
+            }
+            pos += bytesPerSample;
+        }
+    }
+    pos += dataSize % 2;
+    
+    if (cues.length > 0) {
+        writeTag('cue ');
+        writeUint32(cueSize);
+        writeUint32(cues.length);
+        cues.forEach((cue, i) => {
+            writeUint32(i + 1); // Cue point ID, matched by the label below
+            writeUint32(cue.sample);
+            writeTag('data');
+            writeUint32(0); // Chunk start
+            writeUint32(0); // Block start
+            writeUint32(cue.sample);
+        });
+        
+        writeTag('LIST');
+        writeUint32(listSize);
+        writeTag('adtl');
+        labels.forEach((text, i) => {
+            writeTag('labl');
+            writeUint32(labelChunkSizes[i]);
+            writeUint32(i + 1);
+            text.forEach(byte => view.setUint8(pos++, byte));
+            pos += 1 + (labelChunkSizes[i] % 2); // Null terminator and padding (already zero)
+        });
+    }
+    
+    return buffer;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { encodeWav, WAV_BIT_DEPTHS };
+}